@@ -0,0 +1,44 @@
+/**
+ * Comedy Bang Bang Universe - Entity Aliases
+ * ===========================================
+ *
+ * Hand-maintained table of name variants that refer to the same guest or
+ * character. loadData (via lib/aliases.js) renames every variant to the
+ * canonical name, so appearances and images end up on one entity.
+ *
+ * Format:
+ * - guests / characters: Object mapping a canonical name to its variants
+ *   Example: { "Thomas Lennon": ["Tom Lennon"] }
+ * - sharedNumbers: Episode numbers the wiki really gives to more than one
+ *   episode. validate_data.js reports them as warnings instead of errors.
+ *
+ * Unlike data/cbb_data.js this file is not generated, so it survives data rebuilds.
+ * Run `node scripts/validate_data.js` to find new candidates (unknown-guest,
+ * unknown-character and near-duplicate warnings).
+ */
+
+const CBB_ALIASES = {
+  "guests": {
+    "Thomas Lennon": ["Tom Lennon"],
+    "Weird Al Yankovic": ["\"Weird Al\" Yankovic"],
+    "YACHT": ["Yacht"],
+    "Alicia Witt": ["Aicia Witt"]
+  },
+  "characters": {
+    "Dame Sir Lord Andrew Lloyd Webber": ["Lord Andrew Lloyd Webber"],
+    "The Pie Minister": ["Pie Minister"],
+    "The Ghost of Harry Crane": ["Ghost of Harry Crane"],
+    "Willard \"Willy\" Mapleton": ["Willy Mapleton"],
+    "Rudi North": ["Rudimentary \"Rudi\" North"],
+    "Dr. Victor Traygo": ["Dr. Traygo"],
+    "Angelica Trashmouth": ["Angelia Trashmouth"],
+    "China": ["'China'"],
+    "This Is Your Boy Troy": ["This Is Your Boy Troy (character)"],
+    "New Dad": ["New Dad (character)"],
+    "Sarah Silverman": ["Sarah Silverman (character)"],
+    "Rich Mind Vain": ["Rich Mind Vain (character)"],
+    "The Wacky Ding Dongs": ["The Wacky Ding Dongs (character)"]
+  },
+  // "The Party's Still Raging" (the anniversary's second part) and "Introducing: The Japan Dogs"
+  "sharedNumbers": ["52"]
+};
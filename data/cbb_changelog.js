@@ -0,0 +1,23 @@
+/**
+ * Comedy Bang Bang Universe - Data Changelog
+ * ===========================================
+ *
+ * What changed in data/cbb_data.js at each rebuild, newest first. Shown in
+ * the app's "What's new in the data" panel; new episodes and entities get a
+ * badge until the panel is dismissed.
+ *
+ * Written by scripts/build_data.js (and scripts/diff_data.js --changelog),
+ * see lib/diff_data.js for how versions are compared.
+ *
+ * Format: Array of entries
+ * - version: CBB_DATA.version of the new data
+ * - previousVersion: CBB_DATA.version it was compared with (null if unknown)
+ * - date: Date of the rebuild (YYYY-MM-DD)
+ * - episodes: { added, removed, changed } lists of { number, title, date };
+ *   changed ones also have guests/characters { added, removed } and
+ *   oldTitle/oldDate when those changed
+ * - guests / characters: { added, removed } names and renamed [{ from, to }]
+ * - images: [{ type: 'guest' | 'character' | 'episode', name, from, to }]
+ */
+
+const CBB_CHANGELOG = [];
@@ -20,11 +20,103 @@ const { useState, useMemo, useCallback, useEffect } = React;
 
 // Episode cell colors
 const EPISODE_DEFAULT_COLOR = 'hsl(210, 50%, 60%)';     // Blue for regular episodes
-const EPISODE_LIVE_COLOR = '#EE6C4D';                   // Coral/orange for live episodes
-const EPISODE_PRIMARY_COLOR = 'hsl(45, 100%, 51%)';    // Bright amber for primary entity
-const EPISODE_SECONDARY_COLOR = '#59CD90';              // Green for secondary entity
-const EPISODE_BOTH_COLOR = '#E8FF15';                   // Yellow-green for both entities
+const EPISODE_LIVE_COLOR = '#EE6C4D';                   // Coral/orange for live/tour episodes
+const EPISODE_BEST_OF_COLOR = 'hsl(270, 20%, 62%)';     // Muted lavender for Best Of episodes
+const EPISODE_BONUS_COLOR = 'hsl(170, 35%, 52%)';       // Muted teal for bonus/half episodes
+const EPISODE_SPECIAL_COLOR = 'hsl(330, 45%, 66%)';     // Dusty pink for anniversary/holiday specials
+const EPISODE_PRIMARY_COLOR = 'hsl(45, 100%, 51%)';    // Bright amber for the first selected entity
+const EPISODE_SECONDARY_COLOR = '#59CD90';              // Green for the second selected entity
+const EPISODE_MATCH_COLOR = '#E8FF15';                  // Yellow-green for episodes matching an all/none filter
 const EPISODE_HOVER_COLOR = '#004777';                  // Dark blue for hover fill
+const EPISODE_DEBUT_COLOR = '#AF7595';                  // Mauve for debuts in the age color modes
+const EPISODE_EMPTY_COLOR = 'hsl(210, 50%, 90%)';       // Light gray for eps with nobody to measure
+
+// Colors handed out to selected entities, in order. Past the end of the list,
+// colors are generated by rotating the hue (see getSelectionColor).
+const SELECTION_COLORS = [
+  EPISODE_PRIMARY_COLOR,
+  EPISODE_SECONDARY_COLOR,
+  '#F15BB5',  // Magenta
+  '#9B5DE5',  // Violet
+  '#00F5D4',  // Aqua
+  '#C0392B',  // Brick red
+  '#8AC926',  // Lime
+  '#6A4C93'   // Plum
+];
+
+// Fixed cell color of each episode type (see EPISODE_TYPES in lib/data_index.js).
+// Regular episodes are colored by the color mode instead.
+const EPISODE_TYPE_COLORS = {
+  'best-of': EPISODE_BEST_OF_COLOR,
+  'live': EPISODE_LIVE_COLOR,
+  'bonus': EPISODE_BONUS_COLOR,
+  'special': EPISODE_SPECIAL_COLOR
+};
+
+// Episode types on the timeline until the filters are changed
+const DEFAULT_EPISODE_TYPES = ['regular', 'bonus', 'special'];
+
+// How selected entities combine when highlighting episodes
+const MATCH_MODES = [
+  { k: 'any', l: 'Any' },    // Episodes with at least one selected entity (each in its own color)
+  { k: 'all', l: 'All' },    // Episodes with every selected entity
+  { k: 'none', l: 'None' }   // Episodes with none of the selected entities
+];
+
+// Views that can be shown in the main panel
+const VIEWS = [
+  { k: 'timeline', l: 'Timeline' },
+  { k: 'network', l: 'Network' },
+  { k: 'matrix', l: 'Matrix' },
+  { k: 'records', l: 'Records' },
+  { k: 'trends', l: 'Trends' },
+  { k: 'cohorts', l: 'Cohorts' }
+];
+
+// Legend text for each color mode's scale
+const COLOR_SCALE_LABELS = {
+  'guests': 'Fewer → More guests',
+  'characters': 'Fewer → More characters',
+  'chars-per-guest': 'Fewer → More chars/guest',
+  'newest-char-age': 'Debut → Older newest character',
+  'oldest-char-age': 'Debut → Older oldest character',
+  'newest-guest-age': 'Debut → Older newest guest',
+  'avg-guest-age': 'Newer → Longer-serving guests',
+  'first-timers': 'More veterans ↔ More first-timers'
+};
+
+// Timeline layouts
+const LAYOUTS = [
+  { k: 'sequential', l: 'Sequential' },  // Episodes packed left to right
+  { k: 'calendar', l: 'Calendar' },      // One column per week of the year
+  { k: 'number', l: 'By number' }        // Packed left to right in episode number order
+];
+
+// Week columns in the calendar layout (getWeekOfYear returns 0-52)
+const CALENDAR_WEEKS = 53;
+
+// Timeline geometry (px): year label column, count column, text line, gap between rows
+const TIMELINE_LABEL_WIDTH = 48;
+const TIMELINE_COUNT_WIDTH = 80;
+const TIMELINE_LINE_HEIGHT = 16;
+const TIMELINE_ROW_GAP = 2;
+
+// Smallest timeline cell (px) when fitting the panel width; narrower panels scroll sideways
+const TIMELINE_MIN_CELL_SIZE = 4;
+
+// Timeline zoom (pinch on touch screens): up to this many times the fitted cell size
+const TIMELINE_MAX_ZOOM = 4;
+
+// Screens this narrow get the stacked layout with bottom sheets (below Tailwind's md breakpoint)
+const COMPACT_MEDIA_QUERY = '(max-width: 767px)';
+
+// Touch on timeline cells: a press this long (ms) pins, moving further than this (px) scrolls instead
+const LONG_PRESS_MS = 500;
+const TAP_SLOP_PX = 10;
+
+// Size of the network view's layout area (the SVG scales it to the panel width)
+const NETWORK_WIDTH = 800;
+const NETWORK_HEIGHT = 560;
 
 // Episode cell outline/stroke
 const HOVER_OUTLINE_WIDTH = '3px';                      // Outline width when hovering
@@ -89,26 +181,90 @@ const getEarwolfUrl = (title) => {
 };
 
 /**
- * Check if an episode is a live/tour episode.
- * Live episodes either:
- * 1. Have non-numeric episode numbers like "from the road", or
- * 2. Have "live" as a standalone word in the title (not "alive", "liven", etc.)
+ * Pick the color for a newly selected entity: the first palette color not
+ * already in use, or a generated one once the palette runs out.
+ *
+ * @param {Array<{color: string}>} selection - Currently selected entities
+ * @returns {string} CSS color
+ */
+const getSelectionColor = (selection) => {
+  const used = new Set(selection.map(s => s.color));
+  const free = SELECTION_COLORS.find(c => !used.has(c));
+  if (free) return free;
+
+  // Golden-angle hue steps keep generated colors apart from each other
+  let i = selection.length;
+  let color;
+  do {
+    color = `hsl(${Math.round((i * 137.5) % 360)}, 75%, 55%)`;
+    i++;
+  } while (used.has(color));
+  return color;
+};
+
+/**
+ * Inline style for a button or list row of a selected entity:
+ * a thin ring and a light tint in the entity's selection color.
  *
- * @param {Object} episode - Episode object with 'n' (number) and 't' (title) fields
- * @returns {boolean} True if live/tour episode
+ * @param {string} color - The entity's selection color
+ * @returns {Object} React style object
  */
-const isLiveEpisode = (episode) => {
-  const num = episode.number || episode.n;
-  const title = episode.title || episode.t || '';
+const getSelectedStyle = (color) => ({
+  boxShadow: `inset 0 0 0 1px ${color}`,
+  backgroundColor: `color-mix(in srgb, ${color} 20%, white)`
+});
 
-  // Check 1: Non-numeric episode number (e.g., "from the road", "BO2013.1")
-  const hasNonNumericNumber = num && !/^[0-9]+(\.[0-9]+)?$/.test(num);
+/**
+ * Check if an episode features an entity.
+ *
+ * @param {Object} ep - Processed episode object
+ * @param {{ name: string, type: string }} entity - Guest or character
+ * @returns {boolean}
+ */
+const episodeHasEntity = (ep, entity) => entity.type === 'guest'
+  ? ep.guestSet.has(entity.name)
+  : ep.characterSet.has(entity.name);
+
+/**
+ * Work out which selected entities an episode features, and whether it
+ * passes the any/all/none filter.
+ *
+ * @param {Object} ep - Processed episode object
+ * @param {Array<{name: string, type: string, color: string}>} selection - Selected entities
+ * @param {string} matchMode - 'any', 'all', or 'none'
+ * @returns {{ matched: Array, isMatch: boolean }} Selected entities in the episode,
+ *   and whether the episode matches (always false with an empty selection)
+ */
+const matchEpisode = (ep, selection, matchMode) => {
+  const matched = selection.filter(s => episodeHasEntity(ep, s));
+  if (selection.length === 0) return { matched, isMatch: false };
+
+  switch (matchMode) {
+    case 'all':
+      return { matched, isMatch: matched.length === selection.length };
+    case 'none':
+      return { matched, isMatch: matched.length === 0 };
+    default: // 'any'
+      return { matched, isMatch: matched.length > 0 };
+  }
+};
 
-  // Check 2: Title contains "live" as a standalone word
-  // Use word boundary \b to match "live" but not "alive", "liven", "deliver", etc.
-  const hasLiveInTitle = /\blive\b/i.test(title);
+/**
+ * Get the background for an episode cell that matches the selection.
+ * In 'any' mode the cell shows the colors of every selected entity in it
+ * (as stripes when there are several); 'all' and 'none' use one match color.
+ *
+ * @param {Array<{color: string}>} matched - Selected entities in the episode
+ * @param {string} matchMode - 'any', 'all', or 'none'
+ * @returns {string} CSS background value
+ */
+const getMatchBackground = (matched, matchMode) => {
+  if (matchMode !== 'any') return EPISODE_MATCH_COLOR;
+  if (matched.length === 1) return matched[0].color;
 
-  return hasNonNumericNumber || hasLiveInTitle;
+  const step = 100 / matched.length;
+  const stops = matched.map((s, i) => `${s.color} ${i * step}% ${(i + 1) * step}%`);
+  return `linear-gradient(135deg, ${stops.join(', ')})`;
 };
 
 /**
@@ -149,343 +305,1927 @@ const getEpisodeCharacterAges = (ep, characterMap) => {
   return { min: Math.min(...ages), max: Math.max(...ages) };
 };
 
+/**
+ * Get guest ages for an episode, the guest-side counterpart of
+ * getEpisodeCharacterAges. Guest age = episodes since their debut (0 on
+ * their first episode, making them a first-timer).
+ *
+ * @param {Object} ep - Episode object
+ * @param {Map} guestMap - Map of guest name -> guest data
+ * @returns {{ min: number|null, avg: number|null, firstTimers: number, veterans: number }}
+ *   Newest guest's age, average age, and how many guests debut / have been on before
+ */
+const getEpisodeGuestAges = (ep, guestMap) => {
+  if (!ep.guests || ep.guests.length === 0) {
+    return { min: null, avg: null, firstTimers: 0, veterans: 0 };
+  }
+  const ages = ep.guests.map(g => {
+    const guestData = guestMap.get(g);
+    return guestData ? ep.idx - guestData.firstIdx : 0;
+  });
+  const firstTimers = ages.filter(age => age === 0).length;
+  return {
+    min: Math.min(...ages),
+    avg: ages.reduce((sum, age) => sum + age, 0) / ages.length,
+    firstTimers,
+    veterans: ages.length - firstTimers
+  };
+};
+
+/**
+ * Get mauve color for episodes with debuts, by how many (the debut
+ * counterpart of getEpisodeBaseColor).
+ *
+ * @param {number} value - The value to visualize
+ * @param {number} maxValue - The maximum value (for normalization)
+ * @returns {string} HSL color string
+ */
+const getEpisodeDebutColor = (value, maxValue) => {
+  // Range: 75% (lightest) to 45% (darkest), around the mauve of EPISODE_DEBUT_COLOR
+  const ratio = value / maxValue;
+  const lightness = 75 - (ratio * 30);
 
-// ==========================================================================
-// DATA LOADING & PROCESSING
-// ==========================================================================
+  return `hsl(326, 25%, ${lightness}%)`;
+};
 
 /**
- * Transforms the raw JSON data into a format optimized for the visualization.
- * This function:
- * 1. Expands abbreviated keys (t -> title, d -> date, etc.)
- * 2. Parses date strings into Date objects
- * 3. Builds lookup maps for guests and characters
- * 4. Groups episodes by year for the timeline
+ * Swatches for a color mode's scale in the legends, lightest/lowest first.
  *
- * @param {Object} raw - The raw data from cbb_data.js
- * @returns {Object} Processed data with episodes, maps, and metadata
+ * @param {string} colorMode - One of COLOR_MODES
+ * @returns {string[]} Colors
  */
-// TODO goes through every episode at least 3x, can trim that if needed.
-const loadData = (raw) => {
-  if (!raw) return null;
+const getColorScaleSwatches = (colorMode) => {
+  const blues = [0, 0.5, 1].map(ratio => getEpisodeBaseColor(ratio, 1));
+  if (colorMode === 'first-timers') {
+    return [...blues.reverse(), ...[0.5, 1].map(ratio => getEpisodeDebutColor(ratio, 1))];
+  }
+  if (['newest-char-age', 'oldest-char-age', 'newest-guest-age'].includes(colorMode)) return [EPISODE_DEBUT_COLOR, ...blues];
+  return blues;
+};
 
-  /**
-   * Safely parse a date string into a Date object.
-   * Returns null if the date is invalid.
-   */
-  const parseDate = (s) => {
-    const d = new Date(s);
-    return isNaN(d.getTime()) ? null : d;
-  };
+// Milliseconds in a day
+const DAY_MS = 86400000;
 
-  /**
-   * Calculate which week of the year a date falls in (0-52).
-   * Used to position episodes in the timeline grid.
-   *
-   * 604800000 = milliseconds in a week (7 * 24 * 60 * 60 * 1000)
-   */
-  const getWeekOfYear = (date) => {
-    const start = new Date(date.getFullYear(), 0, 1);  // Jan 1 of that year
-    const diff = date - start;
-    return Math.floor(diff / 604800000);
+/**
+ * Format a number of days as a short duration ("12 days", "5 months", "3.5 years").
+ *
+ * @param {number} days
+ * @returns {string}
+ */
+const formatDuration = (days) => {
+  if (days < 60) return `${Math.round(days)} day${Math.round(days) === 1 ? '' : 's'}`;
+  if (days < 365) return `${Math.round(days / 30.44)} months`;
+  return `${(days / 365.25).toFixed(1)} years`;
+};
+
+/**
+ * Appearance streaks, gaps and tenure for a guest or character.
+ *
+ * "Consecutive" and the gap sizes are measured in the episodes of
+ * `sequence`, so episodes of hidden types don't break a run.
+ *
+ * @param {number[]} entityEps - Indexes of the entity's episodes, in order
+ * @param {Array} sequence - Episodes to measure against, in order
+ * @param {number} returnYears - Minimum absence (in years) for the returns list
+ * @returns {Object|null} null if none of the entity's episodes are in the sequence:
+ *   - longestRun: { length, first, last } - longest run of consecutive episodes
+ *   - longestGap: { episodes, days, comeback } - longest absence and the episode that ended it
+ *   - medianGap: { episodes, days, ep } - median gap between appearances, and the episode that ended it
+ *   - activeYears: { count, span, firstYear, lastYear } - years with an appearance, out of the span
+ *   - activeShare: { appearances, total } - appearances out of all episodes between first and last
+ *   - returns: Array<{ ep, days }> - appearances after an absence of returnYears or more
+ */
+const getAppearanceStats = (entityEps, sequence, returnYears) => {
+  const position = new Map(sequence.map((ep, i) => [ep.idx, i]));
+  const eps = entityEps.filter(idx => position.has(idx)).map(idx => sequence[position.get(idx)]);
+  if (eps.length === 0) return null;
+
+  let run = { length: 1, first: eps[0], last: eps[0] };
+  let longestRun = run;
+  let longestGap = null;
+  const gaps = [];
+  const returns = [];
+
+  for (let i = 1; i < eps.length; i++) {
+    const prev = eps[i - 1];
+    const ep = eps[i];
+    const missed = position.get(ep.idx) - position.get(prev.idx) - 1;
+    const days = (ep.date - prev.date) / DAY_MS;
+
+    run = missed === 0 ? { ...run, length: run.length + 1, last: ep } : { length: 1, first: ep, last: ep };
+    if (run.length > longestRun.length) longestRun = run;
+
+    gaps.push({ episodes: missed, days, ep });
+    if (!longestGap || missed > longestGap.episodes) longestGap = { episodes: missed, days, comeback: ep };
+    if (days >= returnYears * 365.25) returns.push({ ep, days });
+  }
+
+  // Median of the gaps (by episodes; the days come from the same gap)
+  const sorted = [...gaps].sort((a, b) => a.episodes - b.episodes || a.days - b.days);
+  const medianGap = sorted.length ? sorted[Math.floor((sorted.length - 1) / 2)] : null;
+
+  const firstYear = eps[0].year;
+  const lastYear = eps[eps.length - 1].year;
+  const total = position.get(eps[eps.length - 1].idx) - position.get(eps[0].idx) + 1;
+
+  return {
+    longestRun,
+    longestGap: longestGap && longestGap.episodes > 0 ? longestGap : null,
+    medianGap,
+    activeYears: { count: new Set(eps.map(ep => ep.year)).size, span: lastYear - firstYear + 1, firstYear, lastYear },
+    activeShare: { appearances: eps.length, total },
+    returns
   };
+};
 
-  // Transform each episode from abbreviated format to full format
-  const episodes = raw.episodes
-    .map(e => ({
-      title: e.t,
-      number: e.n,
-      date: parseDate(e.d),
-      guests: e.g || [],
-      characters: e.c || [],
-      imageUrl: e.i || null,  // Episode image URL
-    }))
-    .filter(e => e.date)  // Remove episodes with invalid dates
-    .sort((a, b) => a.date - b.date);  // Sort chronologically
-
-  // Add computed properties to each episode
-  episodes.forEach((ep, idx) => {
-    ep.idx = idx;                        // Position in sorted array
-    ep.year = ep.date.getFullYear();     // Year for grouping
-    ep.week = getWeekOfYear(ep.date);    // Week for timeline positioning
-    ep.num_characters = ep.characters.length; // # Characs for visualizing
-    ep.num_guests = ep.guests.length; // # Guests for visualizing
-    ep.characters_per_guest = ep.characters.length / ep.guests.length; // # Characs per Guest
-  });
+/**
+ * Save a Blob as a file download.
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before freeing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
 
-  // Build lookup maps for guests and characters
-  // Maps provide O(1) lookup by name, much faster than searching arrays
-  // TODO seems wastefull to run through O(N) again, does this impact performance?
-  const guestMap = new Map();
-  const characterMap = new Map();
-
-  // Process each episode to build the lookup maps
-  episodes.forEach((ep, idx) => {
-    const isLive = isLiveEpisode(ep);
-
-    // Process guests
-    ep.guests.forEach(g => {
-      if (!guestMap.has(g)) {
-        // First time seeing this guest - create their entry
-        guestMap.set(g, {
-          name: g,
-          episodes: [],         // All episodes
-          regularEpisodes: [],  // Non-live episodes only
-          firstIdx: idx,
-          lastIdx: idx
-        });
-      }
-      const gData = guestMap.get(g);
-      gData.episodes.push(idx);
-      if (!isLive) gData.regularEpisodes.push(idx);
-      gData.lastIdx = idx;
-    });
 
-    // Process characters
-    ep.characters.forEach(c => {
-      if (!characterMap.has(c)) {
-        characterMap.set(c, {
-          name: c,
-          episodes: [],
-          regularEpisodes: [],  // Non-live episodes only
-          firstIdx: idx,
-          lastIdx: idx
-        });
-      }
-      const cData = characterMap.get(c);
-      cData.episodes.push(idx);
-      if (!isLive) cData.regularEpisodes.push(idx);
-      cData.lastIdx = idx;
-    });
-  });
+/**
+ * Find an episode by what someone typed as its number: "599", "#852.5",
+ * "BO2013.3" (or "bo2013 3"). When a number is used twice, the first
+ * released wins.
+ *
+ * @param {string} query - Typed episode number
+ * @param {Array} episodes - All processed episodes, in date order
+ * @returns {Object|null} Processed episode, or null if there's none
+ */
+const findEpisodeByNumber = (query, episodes) => {
+  const wanted = parseEpisodeNumber(query.trim().replace(/^#\s*/, '').replace(/\s+/, '.'));
+  if (wanted.main === null && wanted.bestOfYear === null) return null;
+  return episodes.find(ep => {
+    const parts = ep.numberParts;
+    return wanted.main !== null
+      ? parts.main === wanted.main && parts.fraction === wanted.fraction
+      : parts.bestOfYear === wanted.bestOfYear && parts.bestOfPart === wanted.bestOfPart;
+  }) || null;
+};
 
-  // Group episodes by year for the timeline visualization
-  // TODO another O(N). Will see if timing matters here.
-  const episodesByYear = new Map();
-  episodes.forEach(ep => {
-    if (!episodesByYear.has(ep.year)) {
-      episodesByYear.set(ep.year, []);
-    }
-    episodesByYear.get(ep.year).push(ep);
-  });
 
-  // Get sorted list of years for timeline rows
-  const years = Array.from(episodesByYear.keys()).sort();
+// ==========================================================================
+// URL STATE (PERMALINKS)
+// ==========================================================================
+// The explorer state is mirrored into the query string so any view can be
+// shared as a link, e.g.:
+//   ?sel=g:Paul+F.+Tompkins&sel=g:Andy+Daly&color=chars-per-guest&ep=599
+// Selected entities are repeated `sel` params prefixed with "g:" (guest) or
+// "c:" (character), in selection order.
+// Values equal to their defaults are left out to keep links short.
+
+const URL_STATE_DEFAULTS = {
+  sel: [],              // Selected entities as "g:Name" / "c:Name"
+  mode: 'any',          // How the selection combines: 'any', 'all', or 'none'
+  type: 'guest',        // Entity list shown: 'guest' or 'character'
+  color: 'guests',      // Color mode for episode cells
+  eps: DEFAULT_EPISODE_TYPES.join(','), // Episode types shown (see EPISODE_TYPES), comma-separated
+  sort: 'appearances',  // Entity list sort mode
+  q: '',                // Entity search query
+  ep: null,             // Pinned episode (number, or title if the number isn't unique)
+  view: 'timeline',     // Main panel view (see VIEWS)
+  layout: 'sequential', // Timeline layout (see LAYOUTS)
+  from: null,           // Date range start (YYYY-MM-DD), null = from the first episode
+  to: null              // Date range end (YYYY-MM-DD), null = up to the latest episode
+};
 
-  // Guest-to-character mapping from the data file
-  const guestCharacters = raw.guestCharacters || {};
+// Allowed values for the enum-like URL params (anything else falls back to the default)
+const ENTITY_TYPES = ['guest', 'character'];
+const MATCH_MODE_KEYS = MATCH_MODES.map(m => m.k);
+const COLOR_MODES = [
+  'guests', 'characters', 'chars-per-guest', 'newest-char-age', 'oldest-char-age',
+  'newest-guest-age', 'avg-guest-age', 'first-timers'
+];
+const SORT_MODES = ['appearances', 'first', 'last', 'name'];
+const VIEW_KEYS = VIEWS.map(v => v.k);
+const LAYOUT_KEYS = LAYOUTS.map(l => l.k);
+const EPISODE_TYPE_KEYS = EPISODE_TYPES.map(t => t.k);
 
-  // Build inverse mapping: character -> guest who plays them
-  const characterGuests = {};
-  Object.entries(guestCharacters).forEach(([guest, chars]) => {
-    chars.forEach(char => {
-      characterGuests[char] = guest;  // Each character maps to ONE guest
-    });
-  });
+/**
+ * Check that a value is a usable date range bound ("YYYY-MM-DD").
+ *
+ * @param {string|null} value
+ * @returns {boolean}
+ */
+const isRangeDate = (value) => !!value && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
 
-  // Image URL lookups for guests and characters
-  const guestImages = raw.guestImages || {};
-  const characterImages = raw.characterImages || {};
+/**
+ * Read the shown episode types from the query string, in EPISODE_TYPES
+ * order. Older links had `live=1` to include live episodes, which turned
+ * on everything.
+ *
+ * @param {URLSearchParams} params
+ * @returns {string} Comma-separated type keys
+ */
+const readEpisodeTypes = (params) => {
+  if (!params.has('eps')) {
+    return params.get('live') === '1' ? EPISODE_TYPE_KEYS.join(',') : URL_STATE_DEFAULTS.eps;
+  }
+  const listed = params.get('eps').split(',');
+  const types = EPISODE_TYPE_KEYS.filter(k => listed.includes(k));
+  return types.length > 0 ? types.join(',') : URL_STATE_DEFAULTS.eps;
+};
 
-  // Add image URLs and guest associations to guest and character maps
-  guestMap.forEach((guest, name) => {
-    guest.imageUrl = guestImages[name] || null;
-  });
-  characterMap.forEach((char, name) => {
-    char.imageUrl = characterImages[name] || null;
-    char.playedBy = characterGuests[name] || null;  // Add the correct guest
-  });
+/**
+ * Read the explorer state from a query string.
+ * Unknown or invalid values are replaced by their defaults.
+ *
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object} State object with the same keys as URL_STATE_DEFAULTS
+ */
+const readUrlState = (search) => {
+  const params = new URLSearchParams(search);
+  const pick = (key, allowed) => {
+    const value = params.get(key);
+    return allowed.includes(value) ? value : URL_STATE_DEFAULTS[key];
+  };
 
-  // Calculate max values for color scaling
-  // Do this once at load time instead of recalculating on every render
-  const stats = {
-    maxEpisodesWithLive: 0,
-    maxEpisodesWithoutLive: 0,
-    maxGuests: 0,
-    maxCharacters: 0,
-    maxCharactersPerGuest: 0
+  // Older links used primary/secondary names of the list's entity type
+  const type = pick('type', ENTITY_TYPES);
+  const legacy = ['primary', 'secondary']
+    .map(key => params.get(key))
+    .filter(Boolean)
+    .map(name => `${type[0]}:${name}`);
+
+  return {
+    sel: [...legacy, ...params.getAll('sel').filter(s => /^[gc]:./.test(s))],
+    mode: pick('mode', MATCH_MODE_KEYS),
+    type,
+    color: pick('color', COLOR_MODES),
+    eps: readEpisodeTypes(params),
+    sort: pick('sort', SORT_MODES),
+    q: params.get('q') || '',
+    ep: params.get('ep') || null,
+    view: pick('view', VIEW_KEYS),
+    layout: pick('layout', LAYOUT_KEYS),
+    from: isRangeDate(params.get('from')) ? params.get('from') : null,
+    to: isRangeDate(params.get('to')) ? params.get('to') : null
   };
+};
 
-  episodesByYear.forEach((yearEps) => {
-    stats.maxEpisodesWithLive = Math.max(stats.maxEpisodesWithLive, yearEps.length);
-    const withoutLive = yearEps.filter(ep => !isLiveEpisode(ep)).length;
-    stats.maxEpisodesWithoutLive = Math.max(stats.maxEpisodesWithoutLive, withoutLive);
+/**
+ * Build a query string from the explorer state, skipping default values.
+ *
+ * @param {Object} state - State object with the same keys as URL_STATE_DEFAULTS
+ * @returns {string} Query string including the leading "?", or "" if everything is default
+ */
+const buildUrlSearch = (state) => {
+  const params = new URLSearchParams();
+  Object.entries(state).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach(v => params.append(key, v));
+      return;
+    }
+    if (value === null || value === URL_STATE_DEFAULTS[key]) return;
+    params.set(key, value === true ? '1' : value);
   });
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
 
-  // Calculate max guests, characters, and characters per guest across all episodes
-  episodes.forEach(ep => {
-    stats.maxGuests = Math.max(stats.maxGuests, ep.num_guests);
-    stats.maxCharacters = Math.max(stats.maxCharacters, ep.num_characters);
-    if (ep.num_guests > 0) {
-      stats.maxCharactersPerGuest = Math.max(stats.maxCharactersPerGuest, ep.characters_per_guest);
+/**
+ * Get the key used to identify an episode in the URL.
+ * Uses the episode number when it's unique ("599"), otherwise the title
+ * (many tour episodes share the number "from the road").
+ *
+ * @param {Object} ep - Processed episode object
+ * @param {Array} episodes - All processed episodes
+ * @returns {string} Episode number or title
+ */
+const getEpisodeUrlKey = (ep, episodes) => {
+  const sameNumber = episodes.filter(e => e.number === ep.number).length;
+  return sameNumber === 1 ? ep.number : ep.title;
+};
+
+/**
+ * Find an episode index from its URL key (see getEpisodeUrlKey).
+ *
+ * @param {string|null} key - Episode number or title
+ * @param {Array} episodes - All processed episodes
+ * @returns {number|null} Episode index, or null if not found
+ */
+const findEpisodeByUrlKey = (key, episodes) => {
+  if (!key) return null;
+  const byNumber = episodes.filter(e => e.number === key);
+  const match = byNumber.length === 1 ? byNumber[0] : episodes.find(e => e.title === key);
+  return match ? match.idx : null;
+};
+
+/**
+ * Check a URL state against the loaded data.
+ * Turns the `sel` strings into selected entities (with colors), maps name
+ * variants to canonical names, drops entities that don't exist and turns
+ * the episode key into an episode index.
+ *
+ * @param {Object} urlState - State from readUrlState
+ * @param {Object} data - Processed data from loadData
+ * @returns {Object} State with `sel` as an array of { name, type, color }
+ *   and `ep` as an episode index (or null)
+ */
+const resolveUrlState = (urlState, data) => {
+  const selection = [];
+  urlState.sel.forEach(s => {
+    const type = s[0] === 'g' ? 'guest' : 'character';
+    const map = type === 'guest' ? data.guestMap : data.characterMap;
+
+    // Links made with a name variant still open the canonical entity
+    const name = data.canonicalNames[type].get(s.slice(2)) || s.slice(2);
+
+    const isDuplicate = selection.some(e => e.name === name && e.type === type);
+    if (map.has(name) && !isDuplicate) {
+      selection.push({ name, type, color: getSelectionColor(selection) });
     }
   });
 
   return {
-    episodes,
-    guestMap,
-    characterMap,
-    guestCharacters,
-    guestImages,
-    characterImages,
-    episodesByYear,
-    years,
-    stats
+    ...urlState,
+    sel: selection,
+    ep: findEpisodeByUrlKey(urlState.ep, data.episodes)
   };
 };
 
+/**
+ * Turn selected entities into their `sel` URL strings ("g:Name" / "c:Name").
+ *
+ * @param {Array<{name: string, type: string}>} selection
+ * @returns {string[]}
+ */
+const selectionToUrl = (selection) => selection.map(s => `${s.type[0]}:${s.name}`);
+
 
 // ==========================================================================
-// MAIN APP COMPONENT
+// CO-APPEARANCE NETWORK
 // ==========================================================================
+// Guests are nodes, and two guests are linked when they were on the same
+// episode. The link weight is the number of episodes they shared.
 
 /**
- * The root component that contains all the application state and UI.
+ * Build the guest co-appearance graph for a set of episodes.
+ * Only links with at least `minWeight` shared episodes are kept, and guests
+ * without any kept link are left out so the graph stays readable.
  *
- * It holds the main state and renders child components.
+ * @param {Array} episodes - Processed episodes to include
+ * @param {number} minWeight - Minimum shared episodes for a link
+ * @returns {{ nodes: Array<{name: string, count: number}>,
+ *   links: Array<{source: number, target: number, weight: number}> }}
+ *   Nodes sorted by appearances (most first); links refer to node indexes
  */
-function App() {
-  // ------------------------------------------------------------------------
-  // STATE DECLARATIONS
-  // ------------------------------------------------------------------------
-  // useState creates a piece of state and a function to update it.
-  // When state changes, React automatically re-renders the component.
+const buildCoappearanceGraph = (episodes, minWeight) => {
+  const counts = new Map();
+  const weights = new Map();
 
-  // The raw data from cbb_data.js
-  const [rawData] = useState(CBB_DATA);
+  episodes.forEach(ep => {
+    const guests = [...new Set(ep.guests)].sort();
+    guests.forEach((g, i) => {
+      counts.set(g, (counts.get(g) || 0) + 1);
+      for (let j = i + 1; j < guests.length; j++) {
+        const key = `${g}\n${guests[j]}`;
+        weights.set(key, (weights.get(key) || 0) + 1);
+      }
+    });
+  });
 
-  // Process the raw data using useMemo (only recomputes when rawData changes)
-  const data = useMemo(() => loadData(rawData), [rawData]);
+  const kept = Array.from(weights.entries())
+    .filter(([, weight]) => weight >= minWeight)
+    .map(([key, weight]) => [...key.split('\n'), weight]);
 
-  // Currently selected guest or character names (primary=yellow, secondary=green)
-  const [primaryEntity, setPrimaryEntity] = useState(null);
-  const [secondaryEntity, setSecondaryEntity] = useState(null);
+  const linked = new Set(kept.flatMap(([a, b]) => [a, b]));
+  const nodes = Array.from(linked)
+    .map(name => ({ name, count: counts.get(name) }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  const nodeIndex = new Map(nodes.map((n, i) => [n.name, i]));
 
-  // Whether we're viewing 'guest' or 'character' mode
-  const [entityType, setEntityType] = useState('guest');
+  const links = kept.map(([a, b, weight]) => ({
+    source: nodeIndex.get(a),
+    target: nodeIndex.get(b),
+    weight
+  }));
 
-  // Index of the episode being hovered (for tooltip), null if none
-  const [hoveredEpisode, setHoveredEpisode] = useState(null);
+  return { nodes, links };
+};
 
-  // Index of the episode that was clicked (pinned), null if none
-  // When pinned, the episode summary stays visible even when not hovering
-  const [pinnedEpisode, setPinnedEpisode] = useState(null);
+/**
+ * Lay out a graph with a simple force simulation (Fruchterman-Reingold):
+ * every pair of nodes repels, linked nodes attract (more strongly for
+ * heavier links), and a weak pull keeps everything near the center.
+ *
+ * Starts from a fixed spiral so the same graph always gets the same layout.
+ * The cost is O(nodes²) per iteration, which is fine for a few hundred nodes.
+ *
+ * @param {Array} nodes - Graph nodes (from buildCoappearanceGraph)
+ * @param {Array} links - Graph links (from buildCoappearanceGraph)
+ * @param {number} width - Layout area width
+ * @param {number} height - Layout area height
+ * @param {number} [iterations=300] - Number of simulation steps
+ * @returns {Array<{x: number, y: number}>} Position of each node, by index
+ */
+const layoutForceGraph = (nodes, links, width, height, iterations = 300) => {
+  const n = nodes.length;
+  if (n === 0) return [];
+
+  // Ideal distance between nodes for the available area
+  const k = Math.sqrt((width * height) / n) * 0.7;
+
+  // Golden-angle spiral, most-appearing guests in the middle
+  const pos = nodes.map((node, i) => {
+    const r = Math.sqrt(i + 0.5) * k * 0.5;
+    const angle = i * 2.399963;
+    return { x: width / 2 + r * Math.cos(angle), y: height / 2 + r * Math.sin(angle) };
+  });
 
-  // How to sort the entity list: 'appearances', 'first', 'last', or 'name'
-  const [sortBy, setSortBy] = useState('appearances');
+  let temperature = width / 8;
+  const cooling = temperature / (iterations + 1);
+
+  for (let step = 0; step < iterations; step++) {
+    const dx = new Float64Array(n);
+    const dy = new Float64Array(n);
+
+    // Repulsion between every pair
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        let x = pos[i].x - pos[j].x;
+        let y = pos[i].y - pos[j].y;
+        const dist2 = x * x + y * y || 0.01;
+        const force = (k * k) / dist2;
+        x *= force;
+        y *= force;
+        dx[i] += x; dy[i] += y;
+        dx[j] -= x; dy[j] -= y;
+      }
+    }
 
-  // Timeline container ref for measuring width
-  const timelineContainerRef = React.useRef(null);
+    // Attraction along links
+    links.forEach(({ source, target, weight }) => {
+      const x = pos[source].x - pos[target].x;
+      const y = pos[source].y - pos[target].y;
+      const dist = Math.sqrt(x * x + y * y) || 0.01;
+      const force = (dist / k) * Math.sqrt(weight);
+      dx[source] -= x * force; dy[source] -= y * force;
+      dx[target] += x * force; dy[target] += y * force;
+    });
 
-  // Size of each cell in the timeline grid (in pixels)
-  const [cellSize, setCellSize] = useState(11);
+    // Gravity toward the center, then move each node at most `temperature`
+    for (let i = 0; i < n; i++) {
+      dx[i] += (width / 2 - pos[i].x) * 0.05;
+      dy[i] += (height / 2 - pos[i].y) * 0.05;
+      const len = Math.sqrt(dx[i] * dx[i] + dy[i] * dy[i]) || 1;
+      const move = Math.min(len, temperature);
+      pos[i].x = Math.min(width, Math.max(0, pos[i].x + (dx[i] / len) * move));
+      pos[i].y = Math.min(height, Math.max(0, pos[i].y + (dy[i] / len) * move));
+    }
 
-  // Whether to include live episodes in the timeline
-  const [includeLiveEps, setIncludeLiveEps] = useState(false);
+    temperature -= cooling;
+  }
 
-  // Color mode for episode cells: 'guests', 'characters', or 'chars-per-guest'
-  const [colorMode, setColorMode] = useState('guests');
+  return pos;
+};
 
-  // Simple: just pick the pre-calculated max based on checkbox state
-  const maxEpisodesInYear = includeLiveEps
-    ? data?.stats?.maxEpisodesWithLive || 0
-    : data?.stats?.maxEpisodesWithoutLive || 0;
 
-  // Debug: Check if checkbox state is changing
-  console.log('=== State Update ===');
-  console.log('includeLiveEps:', includeLiveEps);
-  console.log('maxEpisodesInYear:', maxEpisodesInYear);
-  console.log('stats:', data?.stats);
+// ==========================================================================
+// CO-APPEARANCE MATRIX
+// ==========================================================================
+// Pairwise shared-episode counts for the top guests or characters, shown as
+// a heatmap so recurring duos stand out.
 
-  // Auto-size cells to fill container width
-  useEffect(() => {
-    console.log("use effect running");
-    const container = timelineContainerRef.current;
-    if (!container || !maxEpisodesInYear) return;
+// Row orders for the matrix view
+const MATRIX_ORDERS = [
+  { k: 'count', l: 'Most' },      // Most appearances first
+  { k: 'debut', l: 'Debut' },     // Earliest first appearance first
+  { k: 'cluster', l: 'Cluster' }  // Entities that often appear together next to each other
+];
 
-    const updateCellSize = () => {
-      const containerWidth = container.clientWidth;
+/**
+ * Count shared episodes for every pair of entities.
+ *
+ * @param {Array<Array<number>>} episodeLists - Episode indexes of each entity
+ * @returns {Array<Array<number>>} Symmetric matrix; the diagonal holds each
+ *   entity's own episode count
+ */
+const buildCoappearanceMatrix = (episodeLists) => {
+  const sets = episodeLists.map(list => new Set(list));
+  return sets.map((a, i) => sets.map((b, j) => {
+    if (i === j) return a.size;
+    let shared = 0;
+    a.forEach(idx => { if (b.has(idx)) shared++; });
+    return shared;
+  }));
+};
 
-      // Guard: Don't update if container isn't rendered yet
-      if (containerWidth === 0) {
-        console.log('containerWidth is 0, skipping update');
-        return;
+/**
+ * Order matrix rows so entities that often appear together end up next to
+ * each other (average-linkage hierarchical clustering on the Jaccard
+ * similarity of their episodes). The tree's leaf order is the row order.
+ *
+ * @param {Array<Array<number>>} matrix - From buildCoappearanceMatrix
+ * @returns {number[]} Row indexes in clustered order
+ */
+const getClusterOrder = (matrix) => {
+  const similarity = (i, j) => {
+    const union = matrix[i][i] + matrix[j][j] - matrix[i][j];
+    return union > 0 ? matrix[i][j] / union : 0;
+  };
+
+  let clusters = matrix.map((row, i) => [i]);
+  while (clusters.length > 1) {
+    // Find the two clusters with the highest average similarity
+    let best = { a: 0, b: 1, score: -1 };
+    for (let a = 0; a < clusters.length; a++) {
+      for (let b = a + 1; b < clusters.length; b++) {
+        let total = 0;
+        clusters[a].forEach(i => clusters[b].forEach(j => { total += similarity(i, j); }));
+        const score = total / (clusters[a].length * clusters[b].length);
+        if (score > best.score) best = { a, b, score };
       }
+    }
+    const merged = [...clusters[best.a], ...clusters[best.b]];
+    clusters = clusters.filter((c, i) => i !== best.a && i !== best.b);
+    clusters.push(merged);
+  }
+  return clusters[0] || [];
+};
 
-      const padding = 32;           // p-4 = 16px on each side
-      const yearLabelWidth = 40;    // w-12 (48px) + ~2px spacing
-      const countLabelWidth = 30;   // w-14 (56px) + ~2px spacing
-      const gap = 1;                // Fixed gap between cells
 
-      const availableWidth = containerWidth - padding - yearLabelWidth - countLabelWidth;
+// ==========================================================================
+// DATA LOADING & PROCESSING
+// ==========================================================================
 
-      // Calculate cell size with decimal precision (no rounding!)
-      const size = (availableWidth - (maxEpisodesInYear - 1) * gap) / maxEpisodesInYear;
-
-      // Debug: Show calculation details
-      console.log('=== Cell Size Calculation ===');
-      console.log('containerWidth:', containerWidth);
-      console.log('maxEpisodesInYear:', maxEpisodesInYear);
-      console.log('availableWidth:', availableWidth);
-      console.log('calculated size:', size);
-      console.log('total used:', (size * maxEpisodesInYear) + ((maxEpisodesInYear - 1) * gap));
-      console.log('size change:', size > cellSize ? 'LARGER' : size < cellSize ? 'smaller' : 'same');
-
-      // Only update if size is valid (minimum 4px) and different from current
-      if (size >= 4 && Math.abs(size - cellSize) > 0.1) {
-        setCellSize(size);
-        console.log("set cell size to", size);
-      } else if (size < 4) {
-        console.log('calculated size too small, keeping current cellSize');
-      }
-    };
+/**
+ * Transforms the raw JSON data into a format optimized for the visualization:
+ * episode objects with parsed dates, lookup maps for guests and characters,
+ * episodes grouped by year for the timeline, and color scale maxima.
+ *
+ * The heavy lifting (merging name variants, sorting, building the lookups,
+ * working out performers) is done at build time and stored in the data file
+ * as CBB_DATA.index (see lib/data_index.js), so this only hydrates it. If the
+ * index is missing or stale (the data or aliases were edited by hand), it's
+ * built here instead, which is slower. Load times are compared with
+ * `node scripts/build_index.js --measure`.
+ *
+ * @param {Object} rawData - The raw data from cbb_data.js
+ * @param {Object} [aliases] - Alias table from cbb_aliases.js
+ * @returns {Object} Processed data with episodes, maps, and metadata, and
+ *   `indexRebuilt` (true when the data file's index couldn't be used)
+ */
+const loadData = (rawData, aliases) => {
+  if (!rawData) return null;
 
-    // Call immediately when maxEpisodes changes
-    updateCellSize();
+  const precomputed = isDataIndexCurrent(rawData, aliases);
+  if (!precomputed) {
+    console.warn('The data index is missing or out of date, building it in the browser. Run node scripts/build_index.js to fix.');
+  }
+  const index = precomputed ? rawData.index : buildDataIndex(rawData, aliases);
+  return { ...hydrateData(rawData, index, aliases), indexRebuilt: !precomputed };
+};
 
-    const resizeObserver = new ResizeObserver(updateCellSize);
-    resizeObserver.observe(container);
 
-    return () => resizeObserver.disconnect();
-  }, [includeLiveEps, maxEpisodesInYear]); // Re-run when checkbox toggles or max changes
+// ==========================================================================
+// RECORDS
+// ==========================================================================
+// Leaderboards across the episodes on the timeline (following the
+// episode type filters and the date range).
 
-  // Search query for filtering entities
-  const [searchQuery, setSearchQuery] = useState('');
+// Entries shown per leaderboard
+const RECORDS_TOP_N = 5;
 
-  // Entity being hovered (for live episode highlighting)
-  // Format: { name: string, type: 'guest' | 'character' } or null
-  const [hoveredEntity, setHoveredEntity] = useState(null);
+/**
+ * Compute the leaderboards. Each board is a list of entries that point at
+ * an episode (`ep`), an entity (`entity: {name, type}`) or a year (`year`).
+ *
+ * @param {Array} episodes - Episodes to consider, in order
+ * @param {Map} guestMap - Guest name -> guest data
+ * @param {Map} characterMap - Character name -> character data
+ * @param {Function} getEntityEpisodes - Episode indexes of an entity (type/range aware)
+ * @param {Array} allEpisodes - All processed episodes (to look up indexes)
+ * @returns {Array<{ title: string, entries: Array<{ label: string, value: string }> }>}
+ */
+const computeRecords = (episodes, guestMap, characterMap, getEntityEpisodes, allEpisodes) => {
+  const top = (items, score) => items
+    .map(item => ({ item, score: score(item) }))
+    .filter(x => x.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, RECORDS_TOP_N);
+
+  const episodeBoard = (title, score, format) => ({
+    title,
+    entries: top(episodes, score).map(({ item, score }) => ({
+      ep: item,
+      label: `#${item.number} ${item.title}`,
+      value: format(score)
+    }))
+  });
 
-  // Debounced hover for entity list - prevents re-renders from interfering with clicks in Safari
-  const entityHoverTimeoutRef = React.useRef(null);
-  const setHoveredEntityDebounced = useCallback((entity) => {
-    if (entityHoverTimeoutRef.current) {
-      clearTimeout(entityHoverTimeoutRef.current);
-    }
-    if (entity === null) {
-      // Clear immediately on mouse leave
-      setHoveredEntity(null);
-    } else {
-      // Small delay on hover to prevent click interference
-      entityHoverTimeoutRef.current = setTimeout(() => {
-        setHoveredEntity(entity);
-      }, 30);
-    }
-  }, []);
+  // Distinct characters each guest played in these episodes
+  const guestCharacterSets = new Map();
+  episodes.forEach(ep => {
+    Object.entries(ep.performers).forEach(([char, guests]) => {
+      guests.forEach(g => {
+        if (!guestCharacterSets.has(g)) guestCharacterSets.set(g, new Set());
+        guestCharacterSets.get(g).add(char);
+      });
+    });
+  });
 
-  // Debounced hover state for episode summary (prevents excessive re-renders)
-  const hoverTimeoutRef = React.useRef(null);
-  const setHoveredEpisodeDebounced = useCallback((idx) => {
-    if (hoverTimeoutRef.current) {
-      clearTimeout(hoverTimeoutRef.current);
+  // Career length: first to last appearance in these episodes
+  const careerBoard = (title, map, type) => ({
+    title,
+    entries: top(Array.from(map.values()), entity => {
+      const eps = getEntityEpisodes(entity);
+      return eps.length > 1 ? (allEpisodes[eps[eps.length - 1]].date - allEpisodes[eps[0]].date) / DAY_MS : 0;
+    }).map(({ item, score }) => ({
+      entity: { name: item.name, type },
+      label: item.name,
+      value: formatDuration(score)
+    }))
+  });
+
+  // Episodes per year
+  const yearCounts = new Map();
+  episodes.forEach(ep => yearCounts.set(ep.year, (yearCounts.get(ep.year) || 0) + 1));
+
+  return [
+    episodeBoard('Most guests', ep => ep.num_guests, n => `${n} guests`),
+    episodeBoard('Most characters', ep => ep.num_characters, n => `${n} characters`),
+    episodeBoard('Most characters per guest', ep => (ep.num_guests ? ep.characters_per_guest : 0), n => `${n.toFixed(2)} per guest`),
+    episodeBoard(
+      'Most character debuts',
+      ep => ep.characters.filter(c => characterMap.get(c)?.firstIdx === ep.idx).length,
+      n => `${n} debuts`
+    ),
+    {
+      title: 'Most distinct characters',
+      entries: top(Array.from(guestCharacterSets.entries()), ([, chars]) => chars.size)
+        .map(({ item: [name], score }) => ({
+          entity: { name, type: 'guest' },
+          label: name,
+          value: `${score} characters`
+        }))
+    },
+    careerBoard('Longest guest careers', guestMap, 'guest'),
+    careerBoard('Longest character careers', characterMap, 'character'),
+    {
+      title: 'Busiest years',
+      entries: top(Array.from(yearCounts.entries()), ([, count]) => count)
+        .map(({ item: [year], score }) => ({ year, label: String(year), value: `${score} episodes` }))
     }
-    hoverTimeoutRef.current = setTimeout(() => {
-      setHoveredEpisode(idx);
-    }, 50); // Small delay to batch rapid hover changes
-  }, []);
+  ];
+};
 
 
-  // Check if data is available
+// ==========================================================================
+// YEARLY TRENDS
+// ==========================================================================
+// Show-wide numbers per year for the trends view. Episodes follow the
+// episode type filters; debuts are counted at an entity's first episode of
+// any type, so a year's new faces don't change with the filters.
+
+/**
+ * Compute the per-year numbers for the trends dashboard.
+ *
+ * @param {number[]} years - Years with episodes, in order
+ * @param {Map} episodesByYear - Year -> episodes of that year, in order
+ * @param {Map} guestMap - Guest name -> guest data
+ * @param {Map} characterMap - Character name -> character data
+ * @param {Array} allEpisodes - All processed episodes (to look up debut years)
+ * @param {Set<string>} shownTypes - Episode types to count
+ * @returns {Array<{ year: number, episodes: number, avgGuests: number|null, avgCharacters: number|null,
+ *   newGuests: number, newCharacters: number, returningShare: number|null, medianGapDays: number|null }>}
+ *   Averages, shares and gaps are null for years without (enough) episodes
+ */
+const computeYearTrends = (years, episodesByYear, guestMap, characterMap, allEpisodes, shownTypes) => {
+  const debutsByYear = (map) => {
+    const counts = new Map();
+    map.forEach(entity => {
+      const year = allEpisodes[entity.firstIdx].year;
+      counts.set(year, (counts.get(year) || 0) + 1);
+    });
+    return counts;
+  };
+  const guestDebuts = debutsByYear(guestMap);
+  const characterDebuts = debutsByYear(characterMap);
+
+  // The gap before a year's first episode reaches back to the previous shown one
+  let previous = null;
+
+  return years.map(year => {
+    const eps = (episodesByYear.get(year) || []).filter(ep => shownTypes.has(ep.type));
+    const average = (value) => eps.length ? eps.reduce((sum, ep) => sum + value(ep), 0) / eps.length : null;
+
+    const gaps = [];
+    eps.forEach(ep => {
+      if (previous) gaps.push((ep.date - previous.date) / DAY_MS);
+      previous = ep;
+    });
+    gaps.sort((a, b) => a - b);
+
+    return {
+      year,
+      episodes: eps.length,
+      avgGuests: average(ep => ep.guests.length),
+      avgCharacters: average(ep => ep.characters.length),
+      newGuests: guestDebuts.get(year) || 0,
+      newCharacters: characterDebuts.get(year) || 0,
+      returningShare: average(ep => ep.characters.some(c => characterMap.get(c).firstIdx < ep.idx) ? 1 : 0),
+      medianGapDays: gaps.length ? gaps[Math.floor((gaps.length - 1) / 2)] : null
+    };
+  });
+};
+
+
+// ==========================================================================
+// COHORT RETENTION
+// ==========================================================================
+// Guests or characters grouped by the year of their first episode (of any
+// type), and how many of each debut class were back one, two, ... years
+// later. Only episodes on the timeline count (through getEntityEpisodes),
+// and entities with none of those aren't part of any cohort.
+
+/**
+ * Group entities into debut-year cohorts and find who returned each year.
+ *
+ * @param {Map} map - guestMap or characterMap
+ * @param {number[]} years - Years with episodes, in order
+ * @param {Array} allEpisodes - All processed episodes (to look up years)
+ * @param {Function} getEntityEpisodes - Episode indexes of an entity (type/range aware)
+ * @returns {Array<{ year: number, members: string[], returned: string[][] }>} One cohort
+ *   per debut year; returned[k - 1] lists the members with an episode k years later
+ */
+const computeCohorts = (map, years, allEpisodes, getEntityEpisodes) => {
+  const lastYear = years[years.length - 1];
+  const cohorts = new Map(years.map(year => [year, {
+    year,
+    members: [],
+    returned: Array.from({ length: lastYear - year }, () => [])
+  }]));
+
+  map.forEach(entity => {
+    const eps = getEntityEpisodes(entity);
+    if (eps.length === 0) return;
+    const cohort = cohorts.get(allEpisodes[entity.firstIdx].year);
+    cohort.members.push(entity.name);
+    new Set(eps.map(idx => allEpisodes[idx].year)).forEach(year => {
+      if (year > cohort.year) cohort.returned[year - cohort.year - 1].push(entity.name);
+    });
+  });
+
+  const byName = (a, b) => a.localeCompare(b);
+  return [...cohorts.values()].map(cohort => ({
+    ...cohort,
+    members: cohort.members.sort(byName),
+    returned: cohort.returned.map(names => names.sort(byName))
+  }));
+};
+
+
+// ==========================================================================
+// TIMELINE EXPORT
+// ==========================================================================
+// Draws the timeline as a standalone SVG (and PNG via a canvas) for slides
+// and posts. The drawing is independent of the on-screen cell size.
+
+const EXPORT_CELL = 10;         // Cell size in the exported image
+const EXPORT_GAP = 2;           // Gap between cells
+const EXPORT_MARGIN = 16;       // Space around the image
+const EXPORT_PNG_SCALE = 3;     // PNG pixels per SVG unit (high-DPI)
+const EXPORT_FONT = 'system-ui, -apple-system, Segoe UI, Helvetica, Arial, sans-serif';
+
+/**
+ * Escape text for use inside SVG markup.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build a standalone SVG of the timeline.
+ *
+ * @param {Object} options
+ * @param {Array<{year: number, label: string, rows: number,
+ *   cells: Array<{col: number, row: number, colors: string[]}>}>} options.years -
+ *   One entry per year row; each cell lists its color(s) (several = stripes)
+ * @param {number} options.columns - Cell columns (busiest year, or 53 weeks)
+ * @param {Array<[string, number]>} [options.monthLabels] - Month header as [label, column] pairs (calendar layout)
+ * @param {Array<{colors: string[], label: string}>} options.legend - Legend items
+ * @param {string} [options.title] - Title drawn above the timeline
+ * @returns {{ svg: string, width: number, height: number }}
+ */
+const buildTimelineSvg = ({ years, columns, monthLabels = null, legend, title = '' }) => {
+  const step = EXPORT_CELL + EXPORT_GAP;
+  const yearLabelWidth = 40;
+  const countLabelWidth = 60;
+  const width = EXPORT_MARGIN * 2 + yearLabelWidth + columns * step + countLabelWidth;
+
+  const parts = [];
+  const defs = new Map();  // Stripe gradients by color combination -> { id, markup }
+  const getFill = (colors) => {
+    if (colors.length === 1) return colors[0];
+    const key = colors.join('|');
+    if (!defs.has(key)) {
+      const id = `stripes${defs.size}`;
+      const stops = colors.flatMap((c, i) => [
+        `<stop offset="${(i / colors.length) * 100}%" stop-color="${c}"/>`,
+        `<stop offset="${((i + 1) / colors.length) * 100}%" stop-color="${c}"/>`
+      ]);
+      defs.set(key, { id, markup: `<linearGradient id="${id}" x1="0" y1="0" x2="1" y2="1">${stops.join('')}</linearGradient>` });
+    }
+    return `url(#${defs.get(key).id})`;
+  };
+
+  let y = EXPORT_MARGIN;
+
+  if (title) {
+    parts.push(`<text x="${EXPORT_MARGIN}" y="${y + 14}" font-size="16" font-weight="bold" fill="#111827">${escapeXml(title)}</text>`);
+    y += 28;
+  }
+
+  const cellsX = EXPORT_MARGIN + yearLabelWidth;
+  if (monthLabels) {
+    monthLabels.forEach(([label, col]) => {
+      parts.push(`<text x="${cellsX + col * step}" y="${y + 9}" font-size="9" fill="#9CA3AF">${escapeXml(label)}</text>`);
+    });
+    y += 14;
+  }
+
+  years.forEach(row => {
+    const rowHeight = row.rows * step;
+    const middle = y + rowHeight / 2 + 4;
+    parts.push(`<text x="${cellsX - 8}" y="${middle}" font-size="11" font-weight="bold" text-anchor="end" fill="#6B7280">${row.year}</text>`);
+    row.cells.forEach(cell => {
+      parts.push(`<rect x="${cellsX + cell.col * step}" y="${y + cell.row * step}" width="${EXPORT_CELL}" height="${EXPORT_CELL}" rx="1.5" fill="${getFill(cell.colors)}"/>`);
+    });
+    parts.push(`<text x="${cellsX + columns * step + 6}" y="${middle}" font-size="10" font-family="ui-monospace, monospace" fill="#6B7280">${escapeXml(row.label)}</text>`);
+    y += rowHeight + 2;
+  });
+
+  // Legend, wrapped onto several lines if it's wider than the image
+  y += 10;
+  let x = EXPORT_MARGIN;
+  legend.forEach(item => {
+    const itemWidth = item.colors.length * 12 + 6 + item.label.length * 6 + 18;
+    if (x > EXPORT_MARGIN && x + itemWidth > width - EXPORT_MARGIN) {
+      x = EXPORT_MARGIN;
+      y += 18;
+    }
+    item.colors.forEach((c, i) => {
+      parts.push(`<rect x="${x + i * 12}" y="${y}" width="10" height="10" rx="1.5" fill="${c}"/>`);
+    });
+    parts.push(`<text x="${x + item.colors.length * 12 + 4}" y="${y + 9}" font-size="11" fill="#6B7280">${escapeXml(item.label)}</text>`);
+    x += itemWidth;
+  });
+  const height = y + 10 + EXPORT_MARGIN;
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${EXPORT_FONT}">`,
+    defs.size ? `<defs>${Array.from(defs.values()).map(d => d.markup).join('')}</defs>` : '',
+    `<rect width="${width}" height="${height}" fill="white"/>`,
+    ...parts,
+    '</svg>'
+  ].join('\n');
+
+  return { svg, width, height };
+};
+
+/**
+ * Render an SVG string to a high-DPI PNG and download it.
+ *
+ * @param {{ svg: string, width: number, height: number }} image - From buildTimelineSvg
+ * @param {string} filename - Download file name
+ */
+const downloadSvgAsPng = ({ svg, width, height }, filename) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * EXPORT_PNG_SCALE;
+    canvas.height = height * EXPORT_PNG_SCALE;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(EXPORT_PNG_SCALE, EXPORT_PNG_SCALE);
+    ctx.drawImage(img, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => blob && downloadBlob(blob, filename), 'image/png');
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    console.error('Timeline export: could not render the SVG to PNG');
+  };
+  img.src = url;
+};
+
+
+// ==========================================================================
+// DATA EXPORT
+// ==========================================================================
+// Tables (episodes, guests/characters, selection matches) as CSV or JSON
+// downloads. Rows are plain objects; list values stay arrays in JSON and
+// are joined with "; " in CSV.
+
+/**
+ * Format a value for a CSV cell, quoting it when needed.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join('; ') : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Turn rows into CSV text with a header line.
+ *
+ * @param {Array<Object>} rows - Rows with the same keys
+ * @returns {string}
+ */
+const toCsv = (rows) => {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(c => toCsvCell(row[c])).join(','))
+  ].join('\r\n') + '\r\n';
+};
+
+/**
+ * Download rows as a CSV or JSON file.
+ *
+ * @param {Array<Object>} rows
+ * @param {string} basename - File name without extension
+ * @param {string} format - 'csv' or 'json'
+ */
+const downloadTable = (rows, basename, format) => {
+  const blob = format === 'json'
+    ? new Blob([JSON.stringify(rows, null, 2)], { type: 'application/json' })
+    : new Blob([toCsv(rows)], { type: 'text/csv' });
+  downloadBlob(blob, `${basename}.${format}`);
+};
+
+/**
+ * Export row for an episode, with the expanded fields.
+ *
+ * @param {Object} ep - Processed episode object
+ * @param {Map} characterMap - For character ages
+ * @param {Map} guestMap - For guest ages
+ * @returns {Object}
+ */
+const getEpisodeExportRow = (ep, characterMap, guestMap) => {
+  const ages = getEpisodeCharacterAges(ep, characterMap);
+  const guestAges = getEpisodeGuestAges(ep, guestMap);
+  return {
+    number: ep.number,
+    title: ep.title,
+    date: ep.date.toISOString().slice(0, 10),
+    type: ep.type,
+    guests: ep.guests,
+    characters: ep.characters,
+    num_guests: ep.num_guests,
+    num_characters: ep.num_characters,
+    characters_per_guest: ep.num_guests ? Math.round(ep.characters_per_guest * 100) / 100 : null,
+    newest_character_age: ages.min,
+    oldest_character_age: ages.max,
+    newest_guest_age: guestAges.min,
+    average_guest_age: guestAges.avg === null ? null : Math.round(guestAges.avg * 10) / 10,
+    first_time_guests: guestAges.firstTimers,
+    returning_guests: guestAges.veterans
+  };
+};
+
+
+// ==========================================================================
+// IMAGES
+// ==========================================================================
+/**
+ * An image that shows a placeholder instead when it's missing or fails to
+ * load (a broken link, or offline with the image not cached yet).
+ * The placeholder is passed as children.
+ *
+ * @param {Object} props
+ * @param {string|null} props.src - Image URL
+ * @param {string} props.alt
+ * @param {string} props.className
+ * @param {React.ReactNode} props.children - Placeholder
+ */
+const FallbackImage = ({ src, alt, className, children }) => {
+  // The URL that failed, so a new src gets a fresh try
+  const [failedSrc, setFailedSrc] = useState(null);
+  if (!src || failedSrc === src) return children;
+
+  return (
+    <img
+      src={src}
+      alt={alt}
+      className={className}
+      loading="lazy"
+      referrerPolicy="no-referrer"
+      onError={() => setFailedSrc(src)}
+    />
+  );
+};
+
+
+// ==========================================================================
+// DATA CHANGELOG
+// ==========================================================================
+// What changed in the data at each rebuild (data/cbb_changelog.js, written
+// by scripts/build_data.js), shown in the "What's new" panel. Episodes and
+// entities from releases the user hasn't dismissed yet get a badge.
+//
+// The newest dismissed data version is remembered in localStorage. Someone
+// who never dismissed anything only sees the latest release as new.
+
+// localStorage key for the newest dismissed data version
+const DATA_SEEN_STORAGE_KEY = 'cbb-data-seen';
+
+/**
+ * Newest data version the user dismissed, null if none (or no storage).
+ */
+const readSeenDataVersion = () => {
+  try {
+    return window.localStorage.getItem(DATA_SEEN_STORAGE_KEY);
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Remember a data version as dismissed. Without storage (private browsing,
+ * file://) it only lasts until the page is reloaded.
+ */
+const saveSeenDataVersion = (version) => {
+  try {
+    window.localStorage.setItem(DATA_SEEN_STORAGE_KEY, version);
+  } catch (err) {
+    // Nothing to do, the state in App still hides the badges
+  }
+};
+
+/**
+ * Changelog entries newer than the dismissed version.
+ *
+ * @param {Array} changelog - Entries, newest first
+ * @param {string|null} seenVersion - Newest dismissed data version
+ * @returns {Array} Unseen entries, newest first
+ */
+const getUnseenChanges = (changelog, seenVersion) => {
+  if (!seenVersion) return changelog.slice(0, 1);
+  const seenAt = changelog.findIndex(entry => entry.version === seenVersion);
+  // An unknown version was dismissed before the changelog was rewritten
+  return seenAt === -1 ? [] : changelog.slice(0, seenAt);
+};
+
+/**
+ * Key that finds a changelog episode ({ number, title, date }) among the
+ * processed episodes: dates can shift with the time zone, number and title don't.
+ */
+const getChangelogEpisodeKey = (ep) => `${ep.number}\n${ep.title}`;
+
+/**
+ * Episodes and entities introduced by the given changelog entries, as found
+ * in the loaded data.
+ *
+ * @param {Array} entries - Changelog entries
+ * @param {Map<string, number>} episodeByKey - Episode index by getChangelogEpisodeKey
+ * @returns {{ episodes: Set<number>, entities: Set<string> }}
+ *   Episode indexes, and "guest:Name" / "character:Name" keys
+ */
+const getNewInData = (entries, episodeByKey) => {
+  const news = { episodes: new Set(), entities: new Set() };
+  entries.forEach(entry => {
+    entry.episodes.added.forEach(e => {
+      const idx = episodeByKey.get(getChangelogEpisodeKey(e));
+      if (idx !== undefined) news.episodes.add(idx);
+    });
+    entry.guests.added.forEach(name => news.entities.add(`guest:${name}`));
+    entry.characters.added.forEach(name => news.entities.add(`character:${name}`));
+  });
+  return news;
+};
+
+
+// ==========================================================================
+// TIMELINE
+// ==========================================================================
+// The episode timeline: each row is a year, each cell is one episode.
+// - Sequential layout: episodes are packed left-to-right in chronological order.
+// - Calendar layout: one column per week of the year (ep.week), so gaps and
+//   hiatuses show up and months line up across years. Episodes released in
+//   the same week are stacked.
+//
+// It's drawn as two layers over the same absolutely positioned cells (App
+// works out the positions in timelineLayout):
+// - TimelineGrid: every episode in its base color, with the ARIA grid and
+//   keyboard focus. Memoized, so hovering or selecting doesn't re-render it.
+//   The pinned cell and the Tab stop reach its cells through a
+//   TimelineCellStore instead of props, so pinning or moving the keyboard
+//   focus only re-renders the cells involved.
+// - TimelineOverlay: the cells that match the selection (or the hovered
+//   entity's preview), the pinned cell and the per-year counts. Usually a
+//   few dozen cells, so the highlights stay cheap to update.
+//
+// Both are defined outside App so React.memo can skip them.
+
+// Hover look of a timeline cell: dark fill with an amber outline
+const TIMELINE_CELL_HOVER = 'hover:bg-[#004777] hover:outline hover:outline-[3px] hover:outline-[hsl(45,100%,51%)] hover:z-10';
+
+/**
+ * Screen reader label for a timeline cell: number, title, date and guests.
+ */
+const getEpisodeLabel = (ep) =>
+  `#${ep.number} ${ep.title}, ${ep.date.toLocaleDateString()}` +
+  (ep.guests.length ? `, with ${ep.guests.join(', ')}` : '');
+
+/**
+ * Holds the pinned episode and the Tab stop for TimelineGrid's cells. Each
+ * cell subscribes to its own episode index, so a change only notifies the
+ * cells that gain or lose the state.
+ *
+ * @returns {{get: Function, set: Function, subscribe: Function}}
+ */
+const createTimelineCellStore = () => {
+  let state = { pinned: null, tabStop: null };
+  const listeners = new Map();
+
+  const notify = (idx) => listeners.get(idx)?.forEach(listener => listener());
+
+  return {
+    get: () => state,
+    set: (next) => {
+      if (next.pinned === state.pinned && next.tabStop === state.tabStop) return;
+      const prev = state;
+      state = next;
+      new Set([prev.pinned, prev.tabStop, next.pinned, next.tabStop]).forEach(notify);
+    },
+    subscribe: (idx, listener) => {
+      if (!listeners.has(idx)) listeners.set(idx, new Set());
+      listeners.get(idx).add(listener);
+      return () => listeners.get(idx).delete(listener);
+    }
+  };
+};
+
+/**
+ * One episode cell of TimelineGrid. Reads whether it's pinned or the Tab
+ * stop from the cell store.
+ */
+const TimelineCell = React.memo(({
+  ep, x, y, cellSize, fill, isNew, cellStore, onHover, onPin, onFocusCell
+}) => {
+  const subscribe = useCallback((listener) => cellStore.subscribe(ep.idx, listener), [cellStore, ep.idx]);
+  const isPinned = React.useSyncExternalStore(subscribe, () => cellStore.get().pinned === ep.idx);
+  const isTabStop = React.useSyncExternalStore(subscribe, () => cellStore.get().tabStop === ep.idx);
+
+  return (
+    <div
+      data-timeline-cell
+      data-episode-idx={ep.idx}
+      role="gridcell"
+      tabIndex={isTabStop ? 0 : -1}
+      aria-selected={isPinned}
+      aria-label={getEpisodeLabel(ep) + (isNew ? ', new' : '') + (isPinned ? ', pinned' : '')}
+      className={`absolute rounded-sm cursor-pointer [background:var(--cell-bg)] ${TIMELINE_CELL_HOVER}`}
+      style={{ '--cell-bg': fill, left: x, top: y, width: cellSize, height: cellSize }}
+      onMouseEnter={() => onHover(ep.idx)}
+      onFocus={() => onFocusCell(ep.idx)}
+      onClick={() => onPin(ep.idx)}
+    />
+  );
+});
+
+/**
+ * Base layer of the timeline. Keyboard accessible (ARIA grid with a
+ * roving tabindex): see handleTimelineKeyDown in App for the keys.
+ *
+ * @param {Object} props
+ * @param {Object} props.timelineLayout - Rows and cell positions (App's timelineLayout)
+ * @param {Map<number, string>} props.fills - Base color by episode index
+ * @param {Object} props.cellStore - Pinned episode and Tab stop (createTimelineCellStore)
+ * @param {Set<number>} props.newEpisodes - Episode indexes added in an unseen data release
+ * @param {Function} props.onHover - Called with an episode index on mouse enter
+ * @param {Function} props.onPin - Called with an episode index on click
+ * @param {Function} props.onFocusCell - Called with an episode index when a cell gets focus
+ * @param {Function} props.onKeyDown - Keydown handler for the grid
+ * @param {Function} props.onYearClick - Called with a year when its label is clicked
+ */
+const TimelineGrid = React.memo(({
+  timelineLayout, fills, cellStore, newEpisodes,
+  onHover, onPin, onFocusCell, onKeyDown, onYearClick
+}) => {
+  const { rows, positions, cellSize, monthLabels } = timelineLayout;
+
+  return (
+    <div
+      role="grid"
+      aria-label="Episode timeline. Arrow keys move between episodes, Enter pins, Escape clears."
+      className="absolute inset-0"
+      onKeyDown={onKeyDown}
+    >
+      {/* Month header for the calendar layout */}
+      {monthLabels && (
+        <div aria-hidden="true" className="text-[10px] text-gray-400">
+          {monthLabels.map(([m, x], i) => (
+            <span key={i} className="absolute top-0 leading-4" style={{ left: x }}>{m}</span>
+          ))}
+        </div>
+      )}
+
+      {/* One row per year in the date range */}
+      {rows.map(({ year, top, height, episodes }) => (
+        <div key={year} role="row">
+          {/* Year label - click to zoom the date range to this year */}
+          <div
+            role="rowheader"
+            className="absolute left-0 w-12 text-xs leading-4 font-bold text-gray-500 pr-2 text-right cursor-pointer hover:text-gray-900"
+            style={{ top: top + (height - TIMELINE_LINE_HEIGHT) / 2 }}
+            title={`Zoom to ${year}`}
+            onClick={() => onYearClick(year)}
+          >
+            {year}
+          </div>
+
+          {/* Episode cells */}
+          {episodes.map(ep => {
+            const { x, y } = positions.get(ep.idx);
+            return (
+              <TimelineCell
+                key={ep.idx}
+                ep={ep}
+                x={x}
+                y={y}
+                cellSize={cellSize}
+                fill={fills.get(ep.idx)}
+                isNew={newEpisodes.has(ep.idx)}
+                cellStore={cellStore}
+                onHover={onHover}
+                onPin={onPin}
+                onFocusCell={onFocusCell}
+              />
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+});
+
+/**
+ * Highlight layer of the timeline, drawn over TimelineGrid: matching cells
+ * in their selection colors, the pinned cell, a dot on new episodes, a mark
+ * on episodes released out of number order, and each year's episode count
+ * (matches/total while something is selected).
+ *
+ * @param {Object} props
+ * @param {Object} props.timelineLayout - Rows and cell positions (App's timelineLayout)
+ * @param {Array<{idx: number, background: string}>} props.highlights - Matching cells
+ * @param {number|null} props.pinnedEpisode - Pinned episode index
+ * @param {Set<number>} props.newEpisodes - Episode indexes added in an unseen data release
+ * @param {Set<number>} props.flaggedEpisodes - Episode indexes released out of number order
+ * @param {Map<number, number>} props.counts - Matching episodes by year
+ * @param {Function} props.onHover - Called with an episode index on mouse enter
+ * @param {Function} props.onPin - Called with an episode index on click
+ */
+const TimelineOverlay = React.memo(({
+  timelineLayout, highlights, pinnedEpisode, newEpisodes, flaggedEpisodes, counts, onHover, onPin
+}) => {
+  const { rows, positions, cellSize, cellsWidth } = timelineLayout;
+  const pinned = pinnedEpisode !== null ? positions.get(pinnedEpisode) : null;
+
+  const cellStyle = ({ x, y }) => ({ left: x, top: y, width: cellSize, height: cellSize });
+
+  // The layer lets the mouse through to the grid except on its own cells
+  return (
+    <div className="absolute inset-0 pointer-events-none">
+      {highlights.map(({ idx, background }) => idx !== pinnedEpisode && (
+        <div
+          key={idx}
+          data-timeline-cell
+          data-episode-idx={idx}
+          className={`absolute rounded-sm cursor-pointer pointer-events-auto [background:var(--cell-bg)] ${TIMELINE_CELL_HOVER}`}
+          style={{ ...cellStyle(positions.get(idx)), '--cell-bg': background }}
+          onMouseEnter={() => onHover(idx)}
+          onClick={() => onPin(idx)}
+        />
+      ))}
+
+      {/* Pinned state uses special styling */}
+      {pinned && (
+        <div
+          data-timeline-cell
+          data-episode-idx={pinnedEpisode}
+          className="absolute rounded-sm cursor-pointer pointer-events-auto z-10"
+          style={{ ...cellStyle(pinned), backgroundColor: 'hsl(38,92%,50%)', outline: '3px solid hsl(38,92%,50%)' }}
+          onMouseEnter={() => onHover(pinnedEpisode)}
+          onClick={() => onPin(pinnedEpisode)}
+        />
+      )}
+
+      {/* New-episode badges, only on episodes that are on the timeline */}
+      {[...newEpisodes].map(idx => positions.has(idx) && (
+        <div
+          key={`new-${idx}`}
+          aria-hidden="true"
+          className="absolute w-1.5 h-1.5 rounded-full bg-red-500 ring-1 ring-white z-20"
+          style={{ left: positions.get(idx).x + cellSize - 4, top: positions.get(idx).y - 2 }}
+        />
+      ))}
+
+      {/* Out-of-order marks, in the cell's bottom-left corner */}
+      {[...flaggedEpisodes].map(idx => positions.has(idx) && (
+        <div
+          key={`flag-${idx}`}
+          aria-hidden="true"
+          className="absolute w-1.5 h-1.5 bg-gray-900 z-20 [clip-path:polygon(0_0,0_100%,100%_100%)]"
+          style={{ left: positions.get(idx).x, top: positions.get(idx).y + cellSize - 6 }}
+        />
+      ))}
+
+      {/* Episode count for each year */}
+      {rows.map(({ year, top, height, episodes }) => {
+        const matchCount = counts.get(year) || 0;
+        return (
+          <div
+            key={year}
+            aria-hidden="true"
+            className="absolute w-20 text-xs leading-4 text-gray-500 pl-2 font-mono"
+            style={{ left: TIMELINE_LABEL_WIDTH + cellsWidth, top: top + (height - TIMELINE_LINE_HEIGHT) / 2 }}
+          >
+            {matchCount > 0 ? (
+              <span>
+                <span className="text-gray-800 font-bold">{matchCount}</span>
+                <span className="text-gray-400">/{episodes.length}</span>
+              </span>
+            ) : (
+              <span className="text-gray-400">{episodes.length}</span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+});
+
+
+// ==========================================================================
+// DATE RANGE BRUSH
+// ==========================================================================
+/**
+ * Overview strip of all episodes (per-month bars) that picks a date range
+ * by dragging across it.
+ *
+ * Defined outside App (unlike the other components) so the drag in
+ * progress survives App re-rendering.
+ *
+ * @param {Object} props
+ * @param {Array} props.episodes - Episodes to draw, sorted by date
+ * @param {string|null} props.from - Range start ("YYYY-MM-DD"), null = no limit
+ * @param {string|null} props.to - Range end ("YYYY-MM-DD"), null = no limit
+ * @param {Function} props.onChange - Called with (from, to) when a drag ends
+ */
+const DateRangeBrush = React.memo(({ episodes, from, to, onChange }) => {
+  // Times (ms) of the drag start and current position, null when not dragging
+  const [drag, setDrag] = useState(null);
+
+  // Time axis runs from Jan 1 of the first year to the end of the last year
+  const axis = useMemo(() => {
+    if (episodes.length === 0) return null;
+    const firstYear = episodes[0].date.getFullYear();
+    const lastYear = episodes[episodes.length - 1].date.getFullYear();
+    const start = new Date(firstYear, 0, 1).getTime();
+    const end = new Date(lastYear + 1, 0, 1).getTime();
+
+    // Episodes per month, for the bars
+    const months = new Map();
+    episodes.forEach(ep => {
+      const key = ep.date.getFullYear() * 12 + ep.date.getMonth();
+      months.set(key, (months.get(key) || 0) + 1);
+    });
+
+    const years = [];
+    for (let y = firstYear; y <= lastYear; y++) years.push(y);
+
+    return { start, end, months, maxMonth: Math.max(...months.values()), years };
+  }, [episodes]);
+
+  if (!axis) return null;
+
+  const toX = (time) => ((time - axis.start) / (axis.end - axis.start)) * 100;
+  const toTime = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    return axis.start + ratio * (axis.end - axis.start);
+  };
+  const toDateString = (time) => new Date(time).toISOString().slice(0, 10);
+
+  // Shown range: the drag in progress, or the current from/to
+  const [selStart, selEnd] = drag
+    ? [Math.min(drag.start, drag.end), Math.max(drag.start, drag.end)]
+    : [from ? new Date(from).getTime() : axis.start, to ? new Date(to).getTime() : axis.end];
+
+  return (
+    <div className="relative flex-1 min-w-[12rem]">
+      <svg
+        data-range-brush
+        viewBox="0 0 100 24"
+        preserveAspectRatio="none"
+        className="w-full h-6 cursor-crosshair touch-none"
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture?.(e.pointerId);
+          const time = toTime(e);
+          setDrag({ start: time, end: time });
+        }}
+        onPointerMove={(e) => drag && setDrag({ ...drag, end: toTime(e) })}
+        onPointerUp={() => {
+          if (!drag) return;
+          const start = Math.min(drag.start, drag.end);
+          const end = Math.max(drag.start, drag.end);
+          setDrag(null);
+          // Ignore clicks and tiny drags (less than a week)
+          if (end - start < 604800000) return;
+          onChange(
+            start <= axis.start ? null : toDateString(start),
+            end >= axis.end ? null : toDateString(end)
+          );
+        }}
+      >
+        {/* Episodes per month */}
+        {Array.from(axis.months.entries()).map(([key, count]) => {
+          const time = new Date(Math.floor(key / 12), key % 12, 1).getTime();
+          const height = (count / axis.maxMonth) * 22;
+          return (
+            <rect
+              key={key}
+              x={toX(time)}
+              y={24 - height}
+              width={100 / ((axis.end - axis.start) / 2629800000) * 0.8}
+              height={height}
+              fill={EPISODE_DEFAULT_COLOR}
+            />
+          );
+        })}
+
+        {/* Fade everything outside the range */}
+        <rect x={0} y={0} width={Math.max(0, toX(selStart))} height={24} fill="white" fillOpacity={0.75} />
+        <rect x={toX(selEnd)} y={0} width={Math.max(0, 100 - toX(selEnd))} height={24} fill="white" fillOpacity={0.75} />
+      </svg>
+
+      {/* Year ticks */}
+      <div className="relative h-3 text-[9px] text-gray-400">
+        {axis.years.map(y => (
+          <span
+            key={y}
+            className="absolute"
+            style={{ left: `${toX(new Date(y, 0, 1).getTime())}%` }}
+          >
+            {`'${String(y).slice(2)}`}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+
+// ==========================================================================
+// TOUCH & SMALL SCREENS
+// ==========================================================================
+// Phones get a stacked layout, and since there's no hover there the
+// timeline takes its preview and pin from taps and long presses instead.
+
+/**
+ * Whether a CSS media query matches, updated as it changes.
+ *
+ * @param {string} query - e.g. COMPACT_MEDIA_QUERY
+ * @returns {boolean}
+ */
+const useMediaQuery = (query) => {
+  const [matches, setMatches] = useState(() => window.matchMedia(query).matches);
+
+  useEffect(() => {
+    const media = window.matchMedia(query);
+    const update = () => setMatches(media.matches);
+    update();
+    media.addEventListener('change', update);
+    return () => media.removeEventListener('change', update);
+  }, [query]);
+
+  return matches;
+};
+
+/**
+ * Touch gestures for the timeline, as handlers for the element around it:
+ * a tap on a cell previews it, a long press pins it, and two fingers pinch
+ * the zoom. Cells are found by their data-episode-idx. Handled taps cancel
+ * the emulated mouse events, so the cells' own hover and click handlers
+ * (which stay in charge of mouse and pen input) don't run as well.
+ *
+ * @param {Object} handlers
+ * @param {Function} handlers.onTap - Called with an episode index
+ * @param {Function} handlers.onLongPress - Called with an episode index
+ * @param {Function} handlers.onPinch - Called with the scale since the last call and the fingers' center (clientX)
+ * @returns {Object} Touch and context menu handlers
+ */
+const useTimelineTouch = ({ onTap, onLongPress, onPinch }) => {
+  // Press in progress on a cell: { idx, x, y, timer, done }
+  const press = React.useRef(null);
+  // Distance between the fingers of a pinch in progress, null if none
+  const pinchDistance = React.useRef(null);
+
+  const endPress = () => {
+    if (press.current) clearTimeout(press.current.timer);
+    press.current = null;
+  };
+  const distance = ([a, b]) => Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+
+  return {
+    onTouchStart: (e) => {
+      endPress();
+      if (e.touches.length === 2) {
+        pinchDistance.current = distance(e.touches);
+        return;
+      }
+      const cell = e.touches.length === 1 && e.target.closest('[data-episode-idx]');
+      if (!cell) return;
+
+      const idx = Number(cell.dataset.episodeIdx);
+      const current = {
+        idx,
+        x: e.touches[0].clientX,
+        y: e.touches[0].clientY,
+        done: false,
+        timer: setTimeout(() => {
+          current.done = true;
+          onLongPress(idx);
+        }, LONG_PRESS_MS)
+      };
+      press.current = current;
+    },
+    onTouchMove: (e) => {
+      if (e.touches.length === 2 && pinchDistance.current) {
+        const next = distance(e.touches);
+        onPinch(next / pinchDistance.current, (e.touches[0].clientX + e.touches[1].clientX) / 2);
+        pinchDistance.current = next;
+        return;
+      }
+      const p = press.current;
+      if (p && !p.done && Math.hypot(e.touches[0].clientX - p.x, e.touches[0].clientY - p.y) > TAP_SLOP_PX) {
+        endPress();
+      }
+    },
+    onTouchEnd: (e) => {
+      if (e.touches.length < 2) pinchDistance.current = null;
+      const p = press.current;
+      endPress();
+      if (!p) return;
+      e.preventDefault();
+      if (!p.done) onTap(p.idx);
+    },
+    onTouchCancel: () => {
+      endPress();
+      pinchDistance.current = null;
+    },
+    // Long presses open the browser's context menu on some phones
+    onContextMenu: (e) => {
+      if (press.current) e.preventDefault();
+    }
+  };
+};
+
+
+// ==========================================================================
+// MAIN APP COMPONENT
+// ==========================================================================
+
+/**
+ * The root component that contains all the application state and UI.
+ *
+ * It holds the main state and renders child components.
+ */
+function App() {
+  // ------------------------------------------------------------------------
+  // STATE DECLARATIONS
+  // ------------------------------------------------------------------------
+  // useState creates a piece of state and a function to update it.
+  // When state changes, React automatically re-renders the component.
+
+  // The raw data from cbb_data.js, and the name variants from cbb_aliases.js
+  const [rawData] = useState(CBB_DATA);
+  const [aliases] = useState(CBB_ALIASES);
+
+  // What changed at each data rebuild (cbb_changelog.js), newest first
+  const [changelog] = useState(typeof CBB_CHANGELOG !== 'undefined' ? CBB_CHANGELOG : []);
+
+  // Process the raw data using useMemo (only recomputes when rawData changes)
+  const data = useMemo(() => loadData(rawData, aliases), [rawData, aliases]);
+
+  // Report data problems in the console (same checks as scripts/validate_data.js):
+  // one summary line, plus the errors. The warnings are for the CLI to list.
+  // Only after hand edits: data with a current index came from the build
+  // scripts, and checking it again would cost every visitor a second pass.
+  useEffect(() => {
+    if (!rawData || !data || !data.indexRebuilt) return;
+    const issues = validateData(rawData, { aliases });
+    if (issues.length === 0) return;
+
+    const errors = issues.filter(i => i.severity === 'error');
+    const summary = `Data check: ${errors.length} errors, ${issues.length - errors.length} warnings (node scripts/validate_data.js for details)`;
+    if (errors.length === 0) {
+      console.info(summary);
+      return;
+    }
+    console.warn([summary, ...errors.map(i => `  ${i.message}`)].join('\n'));
+  }, [rawData, aliases, data]);
+
+  // State restored from the URL on first load (permalinks), read only once
+  const [initialState] = useState(() =>
+    data ? resolveUrlState(readUrlState(window.location.search), data) : URL_STATE_DEFAULTS
+  );
+
+  // Currently selected guests and characters, in selection order.
+  // Each item is { name, type: 'guest' | 'character', color }.
+  // The last one is shown in the detail panel.
+  const [selectedEntities, setSelectedEntities] = useState(initialState.sel);
+
+  // How the selection combines when highlighting episodes: 'any', 'all', or 'none'
+  const [matchMode, setMatchMode] = useState(initialState.mode);
+
+  // Whether the entity list shows 'guest' or 'character' mode
+  const [entityType, setEntityType] = useState(initialState.type);
+
+  // Index of the episode being hovered (for tooltip), null if none
+  const [hoveredEpisode, setHoveredEpisode] = useState(null);
+
+  // Minimum absence (in years) for the "returns" list in the detail panel
+  const [returnYears, setReturnYears] = useState(2);
+
+  // Index of the episode with keyboard focus in the timeline, null if none
+  const [focusedEpisode, setFocusedEpisode] = useState(null);
+
+  // Index of the episode that was clicked (pinned), null if none
+  // When pinned, the episode summary stays visible even when not hovering
+  const [pinnedEpisode, setPinnedEpisode] = useState(initialState.ep);
+
+  // How to sort the entity list: 'appearances', 'first', 'last', or 'name'
+  const [sortBy, setSortBy] = useState(initialState.sort);
+
+  // Timeline container ref for measuring width
+  const timelineContainerRef = React.useRef(null);
+
+  // Size of each cell in the timeline grid (in pixels), fitted to the panel width
+  const [cellSize, setCellSize] = useState(11);
+
+  // Timeline zoom (pinched on touch screens): cells are cellSize times this
+  const [timelineZoom, setTimelineZoom] = useState(1);
+
+  // The timeline's horizontal scroll area, and the point to keep under the fingers while pinching
+  const timelineScrollRef = React.useRef(null);
+  const zoomAnchorRef = React.useRef(null);
+
+  // Phone-sized screen: panels stack, and episode/entity details open in a bottom sheet
+  const isCompact = useMediaQuery(COMPACT_MEDIA_QUERY);
+
+  // Bottom sheet open on compact screens: 'episode', 'entity' or null
+  const [sheet, setSheet] = useState(null);
+
+  // Episode types shown on the timeline and counted everywhere (keys of EPISODE_TYPES)
+  const [shownTypes, setShownTypes] = useState(() => initialState.eps.split(','));
+  const shownTypeSet = useMemo(() => new Set(shownTypes), [shownTypes]);
+
+  // Color mode for episode cells (see COLOR_MODES)
+  const [colorMode, setColorMode] = useState(initialState.color);
+
+  // Which view the main panel shows (see VIEWS)
+  const [view, setView] = useState(initialState.view);
+
+  // Views that draw the episode timeline (the others replace it)
+  const showsTimeline = view === 'timeline' || view === 'matrix';
+
+  // Timeline layout: 'sequential' or 'calendar' (see LAYOUTS)
+  const [layout, setLayout] = useState(initialState.layout);
+
+  // Timeline export panel: open or not, whether to draw a title, and the title ('' = generated)
+  const [exportOpen, setExportOpen] = useState(false);
+  const [exportShowTitle, setExportShowTitle] = useState(true);
+  const [exportTitle, setExportTitle] = useState('');
+
+  // "What's new in the data" panel: open or not, and the newest data version dismissed there
+  const [whatsNewOpen, setWhatsNewOpen] = useState(false);
+  const [seenDataVersion, setSeenDataVersion] = useState(readSeenDataVersion);
+
+  // Network view filter: minimum shared episodes per link
+  const [networkMinWeight, setNetworkMinWeight] = useState(2);
+
+  // Matrix view: how many of the top guests/characters to show, and the row order (see MATRIX_ORDERS)
+  const [matrixSize, setMatrixSize] = useState(20);
+  const [matrixOrder, setMatrixOrder] = useState('count');
+
+  // Cohort view: the clicked cell, { type, year, offset } (offset 0 = the whole cohort)
+  const [cohortCell, setCohortCell] = useState(null);
+
+  // Date range shown everywhere (timeline, counts, detail chart, header stats).
+  // Bounds are "YYYY-MM-DD" strings, null = no limit on that side.
+  const [rangeFrom, setRangeFrom] = useState(initialState.from);
+  const [rangeTo, setRangeTo] = useState(initialState.to);
+
+  /**
+   * The date range as episode indexes (episodes are sorted by date),
+   * plus the years that have episodes inside it.
+   */
+  const range = useMemo(() => {
+    const eps = data?.episodes || [];
+    const from = rangeFrom ? new Date(rangeFrom) : null;
+    const to = rangeTo ? new Date(rangeTo) : null;
+    const inside = eps.filter(ep => (!from || ep.date >= from) && (!to || ep.date <= to));
+    const years = [...new Set(inside.map(ep => ep.year))];
+
+    // When no episode falls inside, the bounds that are set stand in for the years
+    const bounds = rangeFrom && rangeTo ? `${rangeFrom} – ${rangeTo}`
+      : rangeFrom ? `from ${rangeFrom}`
+      : rangeTo ? `until ${rangeTo}`
+      : '';
+
+    return {
+      isFull: inside.length === eps.length,
+      startIdx: inside.length ? inside[0].idx : 0,
+      endIdx: inside.length ? inside[inside.length - 1].idx : -1,
+      years,
+      yearSpan: years.length ? `${years[0]}–${years[years.length - 1]}` : bounds
+    };
+  }, [data, rangeFrom, rangeTo]);
+
+  // Widest year in the range, counting only the episode types shown
+  const maxEpisodesInYear = useMemo(() =>
+    Math.max(0, ...range.years.map(year => data.episodesByYear.get(year)
+      .filter(ep => ep.idx >= range.startIdx && ep.idx <= range.endIdx)
+      .filter(ep => shownTypeSet.has(ep.type))
+      .length
+    )),
+    [data, range, shownTypeSet]
+  );
+
+  // Columns the timeline needs: the busiest year's episodes, or one per week in the calendar layout
+  const timelineColumns = layout === 'calendar' ? CALENDAR_WEEKS : maxEpisodesInYear;
+
+  // Auto-size cells to fill container width
+  useEffect(() => {
+    const container = timelineContainerRef.current;
+    if (!container || !timelineColumns) return;
+
+    const updateCellSize = () => {
+      const containerWidth = container.clientWidth;
+
+      // Guard: Don't update if container isn't rendered yet
+      if (containerWidth === 0) return;
+
+      const padding = 32;           // p-4 = 16px on each side
+      const yearLabelWidth = 40;    // w-12 (48px) + ~2px spacing
+      const countLabelWidth = 30;   // w-14 (56px) + ~2px spacing
+      const gap = 1;                // Fixed gap between cells
+
+      const availableWidth = containerWidth - padding - yearLabelWidth - countLabelWidth;
+
+      // Calculate cell size with decimal precision (no rounding!)
+      const size = (availableWidth - (timelineColumns - 1) * gap) / timelineColumns;
+
+      // Below the minimum (phones) the timeline keeps that size and scrolls sideways
+      const fitted = Math.max(TIMELINE_MIN_CELL_SIZE, size);
+      if (Math.abs(fitted - cellSize) > 0.1) {
+        setCellSize(fitted);
+      }
+    };
+
+    // Call immediately when the column count changes
+    updateCellSize();
+
+    const resizeObserver = new ResizeObserver(updateCellSize);
+    resizeObserver.observe(container);
+
+    return () => resizeObserver.disconnect();
+  }, [shownTypes, timelineColumns]); // Re-run when the type filters or column count change
+
+  // Search query for filtering entities
+  const [searchQuery, setSearchQuery] = useState(initialState.q);
+
+  // "Go to #" box: what's typed, and whether the last lookup found nothing
+  const [jumpQuery, setJumpQuery] = useState('');
+  const [jumpMissed, setJumpMissed] = useState(false);
+
+  // Entity being hovered (for live episode highlighting)
+  // Format: { name: string, type: 'guest' | 'character' } or null
+  const [hoveredEntity, setHoveredEntity] = useState(null);
+
+  // Debounced hover for entity list - prevents re-renders from interfering with clicks in Safari
+  const entityHoverTimeoutRef = React.useRef(null);
+  const setHoveredEntityDebounced = useCallback((entity) => {
+    if (entityHoverTimeoutRef.current) {
+      clearTimeout(entityHoverTimeoutRef.current);
+    }
+    if (entity === null) {
+      // Clear immediately on mouse leave
+      setHoveredEntity(null);
+    } else {
+      // Small delay on hover to prevent click interference
+      entityHoverTimeoutRef.current = setTimeout(() => {
+        setHoveredEntity(entity);
+      }, 30);
+    }
+  }, []);
+
+  // Debounced hover state for episode summary (prevents excessive re-renders)
+  const hoverTimeoutRef = React.useRef(null);
+  const setHoveredEpisodeDebounced = useCallback((idx) => {
+    if (hoverTimeoutRef.current) {
+      clearTimeout(hoverTimeoutRef.current);
+    }
+    hoverTimeoutRef.current = setTimeout(() => {
+      setHoveredEpisode(idx);
+    }, 50); // Small delay to batch rapid hover changes
+  }, []);
+
+  // ------------------------------------------------------------------------
+  // URL SYNC (PERMALINKS)
+  // ------------------------------------------------------------------------
+  // Every selection change pushes a browser history entry, so back/forward
+  // step through them. Typing in the search box only replaces the current
+  // entry so each keystroke doesn't become its own history step.
+  const lastUrlStateRef = React.useRef(null);
+  useEffect(() => {
+    if (!data) return;
+
+    const state = {
+      sel: selectionToUrl(selectedEntities),
+      mode: matchMode,
+      type: entityType,
+      color: colorMode,
+      eps: shownTypes.join(','),
+      sort: sortBy,
+      q: searchQuery,
+      ep: pinnedEpisode !== null ? getEpisodeUrlKey(data.episodes[pinnedEpisode], data.episodes) : null,
+      view,
+      layout,
+      from: rangeFrom,
+      to: rangeTo
+    };
+    const previous = lastUrlStateRef.current;
+    lastUrlStateRef.current = state;
+
+    // Already in sync (first render, or state was just restored from history)
+    const search = buildUrlSearch(state);
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    // The first sync only tidies the URL (e.g. a name variant became canonical)
+    const onlySearchChanged = previous && Object.keys(state)
+      .every(k => k === 'q' || JSON.stringify(state[k]) === JSON.stringify(previous[k]));
+    if (!previous || onlySearchChanged) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }, [data, selectedEntities, matchMode, entityType, colorMode, shownTypes, sortBy, searchQuery, pinnedEpisode, view, layout, rangeFrom, rangeTo]);
+
+  // Restore state when the user navigates with the back/forward buttons
+  useEffect(() => {
+    if (!data) return;
+
+    const handlePopState = () => {
+      const state = resolveUrlState(readUrlState(window.location.search), data);
+      setEntityType(state.type);
+      setSelectedEntities(state.sel);
+      setMatchMode(state.mode);
+      setColorMode(state.color);
+      setShownTypes(state.eps.split(','));
+      setSortBy(state.sort);
+      setSearchQuery(state.q);
+      setPinnedEpisode(state.ep);
+      setView(state.view);
+      setLayout(state.layout);
+      setRangeFrom(state.from);
+      setRangeTo(state.to);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [data]);
+
+
+  // Check if data is available
   if (!data) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -507,19 +2247,82 @@ function App() {
   // COMPUTED VALUES (useMemo)
   // ------------------------------------------------------------------------
 
+  // Episode index by number and title, to find changelog episodes in the data
+  const episodeByChangelogKey = useMemo(() =>
+    new Map(episodes.map(ep => [getChangelogEpisodeKey(ep), ep.idx])),
+    [episodes]
+  );
+
+  // Changelog entries not dismissed yet, and the episodes/entities they added (badged)
+  const unseenChanges = useMemo(() => getUnseenChanges(changelog, seenDataVersion), [changelog, seenDataVersion]);
+  const dataNews = useMemo(() => getNewInData(unseenChanges, episodeByChangelogKey), [unseenChanges, episodeByChangelogKey]);
+
+  /**
+   * Helper functions to get the correct episode list/count based on
+   * the episode types shown and the date range.
+   */
+  const showsAllTypes = shownTypes.length === EPISODE_TYPES.length;
+  const getEntityEpisodes = useCallback((entity) => {
+    const list = showsAllTypes ? entity.episodes : entity.episodes.filter(idx => shownTypeSet.has(episodes[idx].type));
+    return range.isFull ? list : list.filter(idx => idx >= range.startIdx && idx <= range.endIdx);
+  }, [episodes, showsAllTypes, shownTypeSet, range]);
+
+  // Without a date range the per-type counts add up to the answer (the list sorts on this)
+  const getEntityCount = useCallback((entity) =>
+    range.isFull
+      ? shownTypes.reduce((sum, type) => sum + entity.typeCounts[type], 0)
+      : getEntityEpisodes(entity).length,
+    [range, shownTypes, getEntityEpisodes]
+  );
+
   /**
-   * Helper functions to get the correct episode list/count based on includeLiveEps state.
+   * Episodes inside the date range, of the types shown.
    */
-  const getEntityEpisodes = useCallback((entity) =>
-    includeLiveEps ? entity.episodes : entity.regularEpisodes,
-    [includeLiveEps]
+  const visibleEpisodes = useMemo(() =>
+    episodes
+      .slice(range.startIdx, range.endIdx + 1)
+      .filter(ep => shownTypeSet.has(ep.type)),
+    [episodes, range, shownTypeSet]
   );
 
-  const getEntityCount = useCallback((entity) =>
-    includeLiveEps ? entity.episodes.length : entity.regularEpisodes.length,
-    [includeLiveEps]
+  // Episodes drawn in the date range brush (the whole show, of the types shown)
+  const brushEpisodes = useMemo(() =>
+    showsAllTypes ? episodes : episodes.filter(ep => shownTypeSet.has(ep.type)),
+    [episodes, showsAllTypes, shownTypeSet]
   );
 
+  // Episodes of each type in the date range, for the type filters
+  const typeCounts = useMemo(() => {
+    const counts = Object.fromEntries(EPISODE_TYPE_KEYS.map(k => [k, 0]));
+    episodes.slice(range.startIdx, range.endIdx + 1).forEach(ep => { counts[ep.type]++; });
+    return counts;
+  }, [episodes, range]);
+
+  /**
+   * Show or hide an episode type. The last type shown can't be hidden.
+   */
+  const toggleEpisodeType = (type) => {
+    setShownTypes(prev => {
+      if (!prev.includes(type)) return EPISODE_TYPE_KEYS.filter(k => k === type || prev.includes(k));
+      return prev.length > 1 ? prev.filter(k => k !== type) : prev;
+    });
+  };
+
+  /**
+   * Header stats for the date range: episodes, guests and characters in it.
+   */
+  const rangeStats = useMemo(() => {
+    if (range.isFull) {
+      return { episodes: episodes.length, guests: guestMap.size, characters: characterMap.size };
+    }
+    const inRange = episodes.slice(range.startIdx, range.endIdx + 1);
+    return {
+      episodes: inRange.length,
+      guests: new Set(inRange.flatMap(ep => ep.guests)).size,
+      characters: new Set(inRange.flatMap(ep => ep.characters)).size
+    };
+  }, [episodes, guestMap, characterMap, range]);
+
   /**
    * Get the sorted and filtered list of entities (guests or characters).
    * useMemo ensures this only recalculates when dependencies change.
@@ -529,10 +2332,18 @@ function App() {
     const map = entityType === 'guest' ? guestMap : characterMap;
     let entities = Array.from(map.values());
 
-    // Filter by search query if present
+    // Hide entities with no appearances in the date range
+    if (!range.isFull) {
+      entities = entities.filter(e => getEntityCount(e) > 0);
+    }
+
+    // Filter by search query if present (matches the name or any alias)
     if (searchQuery) {
       const q = searchQuery.toLowerCase();
-      entities = entities.filter(e => e.name.toLowerCase().includes(q));
+      entities = entities.filter(e =>
+        e.name.toLowerCase().includes(q) ||
+        e.aliases.some(a => a.toLowerCase().includes(q))
+      );
     }
 
     // Sort based on selected sort mode
@@ -548,14 +2359,11 @@ function App() {
       default:
         return entities;
     }
-  }, [guestMap, characterMap, entityType, sortBy, searchQuery, getEntityCount]);
+  }, [guestMap, characterMap, entityType, sortBy, searchQuery, getEntityCount, range]);
 
   // Memoize the sliced entities to prevent unnecessary re-renders of EntityListItems
   const displayedEntities = useMemo(() => sortedEntities.slice(0, 100), [sortedEntities]);
 
-  // Get the right lookup map for the current entity type
-  const entityLookup = entityType === 'guest' ? guestMap : characterMap;
-
   // Compute max character age stats lazily (only when needed for color mode)
   const characterAgeStats = useMemo(() => {
     if (!colorMode.includes('char-age')) return null;
@@ -572,205 +2380,1306 @@ function App() {
     return { maxOfMinAge, maxOfMaxAge };
   }, [colorMode, episodes, characterMap]);
 
-  /**
-   * Check if an episode features a specific entity.
-   */
-  const episodeHasEntity = useCallback((ep, entityName) => {
-    if (!entityName) return false;
-    return entityType === 'guest'
-      ? ep.guests.includes(entityName)
-      : ep.characters.includes(entityName);
-  }, [entityType]);
+  // Same for the guest color modes
+  const guestAgeStats = useMemo(() => {
+    if (!['newest-guest-age', 'avg-guest-age', 'first-timers'].includes(colorMode)) return null;
+
+    let maxOfMinAge = 0;     // Max across eps of "newest guest age" (for scaling newest mode)
+    let maxOfAvgAge = 0;     // Max across eps of "average guest age" (for scaling tenure mode)
+    let maxFirstTimers = 0;  // Most debuting guests in one episode (first-timers mode)
+    let maxVeterans = 0;     // Most returning guests in an episode without debuts (first-timers mode)
+
+    episodes.forEach(ep => {
+      const ages = getEpisodeGuestAges(ep, guestMap);
+      if (ages.min !== null) maxOfMinAge = Math.max(maxOfMinAge, ages.min);
+      if (ages.avg !== null) maxOfAvgAge = Math.max(maxOfAvgAge, ages.avg);
+      maxFirstTimers = Math.max(maxFirstTimers, ages.firstTimers);
+      if (ages.firstTimers === 0) maxVeterans = Math.max(maxVeterans, ages.veterans);
+    });
+
+    return { maxOfMinAge, maxOfAvgAge, maxFirstTimers, maxVeterans };
+  }, [colorMode, episodes, guestMap]);
+
+  /**
+   * Cell color of an episode that doesn't match the selection: its type's
+   * color, or for regular episodes the base color scaled by the selected color mode.
+   */
+  const getEpisodeFill = useCallback((ep) => {
+    if (EPISODE_TYPE_COLORS[ep.type]) return EPISODE_TYPE_COLORS[ep.type];
+
+    // Base color scaled by selected metric
+    switch (colorMode) {
+      case 'characters':
+        return getEpisodeBaseColor(ep.num_characters, data.stats.maxCharacters);
+      case 'chars-per-guest':
+        return getEpisodeBaseColor(ep.characters_per_guest, data.stats.maxCharactersPerGuest);
+      case 'newest-char-age': {
+        const ages = getEpisodeCharacterAges(ep, characterMap);
+        if (ages.min === null) return EPISODE_EMPTY_COLOR;   // Light gray for eps with no characters
+        if (ages.min === 0) return EPISODE_DEBUT_COLOR;      // Mauve for character debuts
+        // Scale ages 1+ using the normal blue scale (subtract 1 so age=1 is lightest)
+        return getEpisodeBaseColor(ages.min - 1, (characterAgeStats?.maxOfMinAge || 1) - 1);
+      }
+      case 'oldest-char-age': {
+        const ages = getEpisodeCharacterAges(ep, characterMap);
+        if (ages.max === null) return EPISODE_EMPTY_COLOR;   // Light gray for eps with no characters
+        if (ages.max === 0) return EPISODE_DEBUT_COLOR;      // Mauve for all-debut episodes
+        // Scale ages 1+ using the normal blue scale (subtract 1 so age=1 is lightest)
+        return getEpisodeBaseColor(ages.max - 1, (characterAgeStats?.maxOfMaxAge || 1) - 1);
+      }
+      case 'newest-guest-age': {
+        const ages = getEpisodeGuestAges(ep, guestMap);
+        if (ages.min === null) return EPISODE_EMPTY_COLOR;   // Light gray for eps with no guests
+        if (ages.min === 0) return EPISODE_DEBUT_COLOR;      // Mauve for guest debuts
+        // Scale ages 1+ using the normal blue scale (subtract 1 so age=1 is lightest)
+        return getEpisodeBaseColor(ages.min - 1, (guestAgeStats?.maxOfMinAge || 1) - 1);
+      }
+      case 'avg-guest-age': {
+        const ages = getEpisodeGuestAges(ep, guestMap);
+        if (ages.avg === null) return EPISODE_EMPTY_COLOR;   // Light gray for eps with no guests
+        return getEpisodeBaseColor(ages.avg, guestAgeStats?.maxOfAvgAge || 1);
+      }
+      case 'first-timers': {
+        const ages = getEpisodeGuestAges(ep, guestMap);
+        if (ages.min === null) return EPISODE_EMPTY_COLOR;   // Light gray for eps with no guests
+        // Mauve by number of first-timers; all-veteran episodes blue by number of veterans
+        return ages.firstTimers > 0
+          ? getEpisodeDebutColor(ages.firstTimers, guestAgeStats?.maxFirstTimers || 1)
+          : getEpisodeBaseColor(ages.veterans, guestAgeStats?.maxVeterans || 1);
+      }
+      default: // 'guests'
+        return getEpisodeBaseColor(ep.num_guests, data.stats.maxGuests);
+    }
+  }, [colorMode, data, characterMap, guestMap, characterAgeStats, guestAgeStats]);
+
+  /**
+   * Find a selected entity by name and type (null if it isn't selected).
+   */
+  const getSelected = useCallback((name, type) =>
+    selectedEntities.find(s => s.name === name && s.type === type) || null,
+    [selectedEntities]
+  );
+
+  // Episodes released before the episode numbered just below them: episode index -> that episode
+  const numberOrderIssues = useMemo(() =>
+    new Map(findNumberOrderIssues(episodes).map(({ episode, previous }) => [episode.idx, previous])),
+    [episodes]
+  );
+
+  // Cells flagged on the timeline: only in the number layout, where the order shows
+  const flaggedEpisodes = useMemo(() =>
+    layout === 'number' ? new Set(numberOrderIssues.keys()) : new Set(),
+    [layout, numberOrderIssues]
+  );
+
+  // Month labels and their approximate starting weeks (for timeline header)
+  const months = ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'];
+  const monthWeeks = [0, 4, 8, 13, 17, 22, 26, 30, 35, 39, 44, 48];
+
+  /**
+   * Timeline rows by year (within the date range): the episodes shown
+   * (in episode number order for the number layout, otherwise by date)
+   * and, for the calendar layout, the position of each episode in its
+   * week's stack. Doesn't depend on the selection, so selecting or
+   * hovering entities doesn't rebuild the rows.
+   */
+  const timelineRows = useMemo(() => {
+    const rows = new Map();
+    range.years.forEach(year => {
+      const yearEps = (episodesByYear.get(year) || [])
+        .filter(ep => ep.idx >= range.startIdx && ep.idx <= range.endIdx);
+
+      // Leave out the episode types that are filtered out
+      const filteredYearEps = yearEps.filter(ep => shownTypeSet.has(ep.type));
+      if (layout === 'number') {
+        filteredYearEps.sort((a, b) => compareEpisodeNumbers(a.numberParts, b.numberParts));
+      }
+
+      // Calendar layout: position of each episode in its week's stack
+      const stackIndex = new Map();
+      const weekCounts = new Map();
+      if (layout === 'calendar') {
+        filteredYearEps.forEach(ep => {
+          const n = weekCounts.get(ep.week) || 0;
+          stackIndex.set(ep.idx, n);
+          weekCounts.set(ep.week, n + 1);
+        });
+      }
+      const stackRows = Math.max(1, ...weekCounts.values());
+
+      rows.set(year, { episodes: filteredYearEps, stackIndex, stackRows });
+    });
+    return rows;
+  }, [range, episodesByYear, shownTypeSet, layout]);
+
+  // Episodes shown on the timeline, in order
+  const timelineOrder = useMemo(
+    () => range.years.flatMap(year => timelineRows.get(year).episodes),
+    [range, timelineRows]
+  );
+
+  // How many episodes in each timeline year match the selection (any/all/none)
+  const matchCounts = useMemo(() => {
+    const counts = new Map();
+    timelineRows.forEach((row, year) => {
+      counts.set(year, row.episodes.filter(ep => matchEpisode(ep, selectedEntities, matchMode).isMatch).length);
+    });
+    return counts;
+  }, [timelineRows, selectedEntities, matchMode]);
+
+  /**
+   * Pixel position of every timeline cell, so the grid and the highlight
+   * overlay can both place cells absolutely without measuring the DOM.
+   * Cells are the fitted size times the zoom. Rows are as tall as their
+   * cells (at least one line of text), 2px apart; the calendar layout has a
+   * month header above the first row.
+   */
+  const timelineLayout = useMemo(() => {
+    const size = cellSize * timelineZoom;
+    const step = size + 1;
+    const calendar = layout === 'calendar';
+    const cellsWidth = calendar
+      ? CALENDAR_WEEKS * step - 1
+      : Math.max(1, ...range.years.map(year => timelineRows.get(year).episodes.length)) * step - 1;
+
+    const positions = new Map();
+    let top = calendar ? TIMELINE_LINE_HEIGHT + TIMELINE_ROW_GAP : 0;
+    const rows = range.years.map(year => {
+      const { episodes: yearEps, stackIndex, stackRows } = timelineRows.get(year);
+      const cellsHeight = calendar ? stackRows * step - 1 : size;
+      const height = Math.max(TIMELINE_LINE_HEIGHT, cellsHeight);
+      const cellsTop = top + (height - cellsHeight) / 2;
+      yearEps.forEach((ep, i) => {
+        positions.set(ep.idx, {
+          x: TIMELINE_LABEL_WIDTH + (calendar ? ep.week : i) * step,
+          y: cellsTop + (calendar ? stackIndex.get(ep.idx) * step : 0)
+        });
+      });
+      const row = { year, top, height, episodes: yearEps };
+      top += height + TIMELINE_ROW_GAP;
+      return row;
+    });
+
+    return {
+      rows,
+      positions,
+      cellSize: size,
+      cellsWidth,
+      monthLabels: calendar ? months.map((m, i) => [m, TIMELINE_LABEL_WIDTH + monthWeeks[i] * step]) : null,
+      width: TIMELINE_LABEL_WIDTH + cellsWidth + TIMELINE_COUNT_WIDTH,
+      height: Math.max(0, top - TIMELINE_ROW_GAP)
+    };
+  }, [range, timelineRows, layout, cellSize, timelineZoom]);
+
+  // Base color of every timeline cell (by episode index)
+  const episodeFills = useMemo(() => {
+    const fills = new Map();
+    timelineOrder.forEach(ep => fills.set(ep.idx, getEpisodeFill(ep)));
+    return fills;
+  }, [timelineOrder, getEpisodeFill]);
+
+  // The selection, plus the hovered entity as if it were added to it (preview)
+  const previewSelection = useMemo(() =>
+    hoveredEntity && !getSelected(hoveredEntity.name, hoveredEntity.type)
+      ? [...selectedEntities, { ...hoveredEntity, color: getSelectionColor(selectedEntities) }]
+      : selectedEntities,
+    [hoveredEntity, selectedEntities, getSelected]
+  );
+
+  // Timeline cells drawn over the base grid because they match the (preview) selection
+  const timelineHighlights = useMemo(() => {
+    if (previewSelection.length === 0) return [];
+    return timelineOrder.flatMap(ep => {
+      const { matched, isMatch } = matchEpisode(ep, previewSelection, matchMode);
+      return isMatch ? [{ idx: ep.idx, background: getMatchBackground(matched, matchMode) }] : [];
+    });
+  }, [timelineOrder, previewSelection, matchMode]);
+
+  /**
+   * Guest co-appearance graph and its layout, only built while the network
+   * view is open. Respects the episode type filters and the date range.
+   */
+  const network = useMemo(() => {
+    if (view !== 'network') return null;
+
+    const { nodes, links } = buildCoappearanceGraph(visibleEpisodes, networkMinWeight);
+    const positions = layoutForceGraph(nodes, links, NETWORK_WIDTH, NETWORK_HEIGHT);
+
+    // Neighbors of each node, for highlighting on hover
+    const neighbors = nodes.map(() => new Set());
+    links.forEach(({ source, target }) => {
+      neighbors[source].add(target);
+      neighbors[target].add(source);
+    });
+
+    return {
+      nodes,
+      links,
+      positions,
+      neighbors,
+      maxCount: nodes.length ? nodes[0].count : 1,
+      maxWeight: Math.max(1, ...links.map(l => l.weight))
+    };
+  }, [view, visibleEpisodes, networkMinWeight]);
+
+  /**
+   * Shared-episode matrix for the top guests or characters (whichever the
+   * list shows), only built while the matrix view is open.
+   */
+  const matrix = useMemo(() => {
+    if (view !== 'matrix') return null;
+
+    const map = entityType === 'guest' ? guestMap : characterMap;
+    const entities = Array.from(map.values())
+      .filter(e => getEntityCount(e) > 0)
+      .sort((a, b) => getEntityCount(b) - getEntityCount(a))
+      .slice(0, matrixSize);
+    const counts = buildCoappearanceMatrix(entities.map(getEntityEpisodes));
+
+    let order = entities.map((e, i) => i);
+    if (matrixOrder === 'debut') {
+      order.sort((a, b) => entities[a].firstIdx - entities[b].firstIdx);
+    } else if (matrixOrder === 'cluster') {
+      order = getClusterOrder(counts);
+    }
+
+    // Highest off-diagonal count, for the color scale
+    let maxShared = 1;
+    counts.forEach((row, i) => row.forEach((v, j) => { if (i !== j) maxShared = Math.max(maxShared, v); }));
+
+    return { type: entityType, entities, counts, order, maxShared };
+  }, [view, entityType, guestMap, characterMap, matrixSize, matrixOrder, getEntityCount, getEntityEpisodes]);
+
+  /**
+   * Leaderboards for the records view, only computed while it's open.
+   */
+  const records = useMemo(() => {
+    if (view !== 'records') return null;
+    return computeRecords(visibleEpisodes, guestMap, characterMap, getEntityEpisodes, episodes);
+  }, [view, visibleEpisodes, guestMap, characterMap, getEntityEpisodes, episodes]);
+
+  /**
+   * Per-year numbers for the trends view, only computed while it's open.
+   */
+  const yearTrends = useMemo(() => {
+    if (view !== 'trends') return null;
+    return computeYearTrends(years, episodesByYear, guestMap, characterMap, episodes, shownTypeSet);
+  }, [view, years, episodesByYear, guestMap, characterMap, episodes, shownTypeSet]);
+
+  /**
+   * Debut-year cohorts of the guests or characters, only computed while
+   * the cohort view is open.
+   */
+  const cohorts = useMemo(() => {
+    if (view !== 'cohorts') return null;
+    const map = entityType === 'guest' ? guestMap : characterMap;
+    return { type: entityType, rows: computeCohorts(map, years, episodes, getEntityEpisodes) };
+  }, [view, entityType, guestMap, characterMap, years, episodes, getEntityEpisodes]);
+
+  /**
+   * Handle entity selection (click on entity in list or episode summary).
+   * - Click on a selected entity → unselect it
+   * - Click on an unselected entity → add it with the next free color
+   * Guests and characters can be mixed in one selection.
+   */
+  const handleEntityClick = useCallback((name, type) => {
+    setSelectedEntities(prev => prev.some(s => s.name === name && s.type === type)
+      ? prev.filter(s => !(s.name === name && s.type === type))
+      : [...prev, { name, type, color: getSelectionColor(prev) }]
+    );
+  }, []);
+
+  /**
+   * Show an entity in the detail panel by moving it to the end of the
+   * selection (it keeps its color).
+   */
+  const focusEntity = useCallback((entity) => {
+    setSelectedEntities(prev => [...prev.filter(s => s !== entity), entity]);
+  }, []);
+
+  /**
+   * Jump to an entity on its own: switch the list to its type and make it
+   * the only selection. Used by the related-entity links in the detail panel.
+   */
+  const selectOnly = useCallback((name, type) => {
+    setEntityType(type);
+    setSelectedEntities([{ name, type, color: getSelectionColor([]) }]);
+  }, []);
+
+  /**
+   * Title suggested for exported images: the selected entities and the date range.
+   */
+  const getDefaultExportTitle = () => {
+    const names = selectedEntities.map(s => s.name).join(' & ');
+    const subject = !names
+      ? 'Comedy Bang Bang episodes'
+      : matchMode === 'any' ? names : `Episodes with ${matchMode} of ${names}`;
+    const span = range.isFull || !(rangeFrom && rangeTo) ? range.yearSpan : `${rangeFrom} – ${rangeTo}`;
+    return span ? `${subject}, ${span}` : subject;
+  };
+
+  /**
+   * Download one of the data tables. All of them follow the episode type
+   * filters and the date range.
+   * - 'episodes': every episode shown on the timeline
+   * - 'entities': the guest or character list as the sidebar shows it (search and sort)
+   * - 'matches': episodes matching the current selection
+   *
+   * @param {string} table - 'episodes', 'entities', or 'matches'
+   * @param {string} format - 'csv' or 'json'
+   */
+  const exportTable = (table, format) => {
+    if (table === 'entities') {
+      const rows = sortedEntities.map(entity => {
+        const eps = getEntityEpisodes(entity);
+        const first = episodes[eps[0]];
+        const last = episodes[eps[eps.length - 1]];
+        return {
+          name: entity.name,
+          aliases: entity.aliases,
+          appearances: eps.length,
+          first_number: first ? first.number : null,
+          first_title: first ? first.title : null,
+          first_date: first ? first.date.toISOString().slice(0, 10) : null,
+          last_number: last ? last.number : null,
+          last_title: last ? last.title : null,
+          last_date: last ? last.date.toISOString().slice(0, 10) : null,
+          ...(entityType === 'guest'
+            ? { characters: guestCharacters[entity.name] || [] }
+            : { played_by: entity.performers.map(p => p.name) })
+        };
+      });
+      downloadTable(rows, `cbb-${entityType}s`, format);
+      return;
+    }
+
+    if (table === 'matches') {
+      const rows = visibleEpisodes
+        .map(ep => ({ ep, ...matchEpisode(ep, selectedEntities, matchMode) }))
+        .filter(m => m.isMatch)
+        .map(({ ep, matched }) => ({
+          ...getEpisodeExportRow(ep, characterMap, guestMap),
+          selected: matched.map(s => s.name)
+        }));
+      downloadTable(rows, 'cbb-selection-episodes', format);
+      return;
+    }
+
+    downloadTable(visibleEpisodes.map(ep => getEpisodeExportRow(ep, characterMap, guestMap)), 'cbb-episodes', format);
+  };
+
+  /**
+   * Export the timeline as it's shown (layout, colors, selection, date range)
+   * to an SVG or PNG download.
+   *
+   * @param {string} format - 'svg' or 'png'
+   */
+  const exportTimeline = (format) => {
+    const calendar = layout === 'calendar';
+    const exportYears = range.years.map(year => {
+      const { episodes: yearEps, stackIndex, stackRows } = timelineRows.get(year);
+      const matchCount = matchCounts.get(year);
+      return {
+        year,
+        rows: calendar ? stackRows : 1,
+        label: matchCount > 0 ? `${matchCount}/${yearEps.length}` : String(yearEps.length),
+        cells: yearEps.map((ep, i) => {
+          const { matched, isMatch } = matchEpisode(ep, selectedEntities, matchMode);
+          let colors = [getEpisodeFill(ep)];
+          if (isMatch) colors = matchMode === 'any' ? matched.map(m => m.color) : [EPISODE_MATCH_COLOR];
+          return {
+            col: calendar ? ep.week : i,
+            row: calendar ? stackIndex.get(ep.idx) : 0,
+            colors
+          };
+        })
+      };
+    });
+
+    // Same entries as the on-screen legend, plus what the highlights mean
+    const names = selectedEntities.map(s => s.name).join(', ');
+    const legend = [
+      {
+        colors: getColorScaleSwatches(colorMode),
+        label: COLOR_SCALE_LABELS[colorMode]
+      },
+      ...EPISODE_TYPES
+        .filter(t => EPISODE_TYPE_COLORS[t.k] && shownTypeSet.has(t.k))
+        .map(t => ({ colors: [EPISODE_TYPE_COLORS[t.k]], label: t.l })),
+      ...(matchMode === 'any'
+        ? selectedEntities.map(s => ({ colors: [s.color], label: s.name }))
+        : selectedEntities.length > 0
+          ? [{ colors: [EPISODE_MATCH_COLOR], label: `Has ${matchMode === 'all' ? 'all' : 'none'} of ${names}` }]
+          : [])
+    ];
+
+    const image = buildTimelineSvg({
+      years: exportYears,
+      columns: calendar ? CALENDAR_WEEKS : Math.max(1, ...exportYears.map(y => y.cells.length)),
+      monthLabels: calendar ? months.map((m, i) => [m, monthWeeks[i]]) : null,
+      legend,
+      title: exportShowTitle ? (exportTitle.trim() || getDefaultExportTitle()) : ''
+    });
+
+    if (format === 'png') {
+      downloadSvgAsPng(image, 'cbb-timeline.png');
+    } else {
+      downloadBlob(new Blob([image.svg], { type: 'image/svg+xml' }), 'cbb-timeline.svg');
+    }
+  };
+
+
+  // ------------------------------------------------------------------------
+  // TIMELINE KEYBOARD NAVIGATION
+  // ------------------------------------------------------------------------
+
+  /**
+   * Move keyboard focus to an episode: it shows in the episode summary,
+   * and a pin (if any) follows it.
+   */
+  const moveTimelineFocus = (idx) => {
+    if (idx === null || idx === undefined) return;
+    setFocusedEpisode(idx);
+    setHoveredEpisode(idx);
+    if (pinnedEpisode !== null) setPinnedEpisode(idx);
+  };
+
+  // Put DOM focus on the focused cell after a keyboard move (only while the grid has focus)
+  useEffect(() => {
+    const container = timelineContainerRef.current;
+    if (focusedEpisode === null || !container || !container.contains(document.activeElement)) return;
+    const cell = container.querySelector(`[role="gridcell"][data-episode-idx="${focusedEpisode}"]`);
+    if (cell && cell !== document.activeElement) cell.focus();
+  }, [focusedEpisode]);
+
+  /**
+   * Keyboard handling for the timeline grid:
+   * - Left/Right: previous/next episode (continues into the neighboring year)
+   * - Up/Down: the episode at the same position in the previous/next year
+   * - Home/End: first/last episode of the year
+   * - Enter/Space: pin or unpin the episode
+   * - Escape: unpin and clear the selection
+   * - [ / ]: previous/next episode featuring the entity shown in the detail panel
+   */
+  const handleTimelineKeyDown = (e) => {
+    const current = episodes[focusedEpisode ?? pinnedEpisode ?? timelineOrder[0]?.idx];
+    if (!current) return;
+
+    const pos = timelineOrder.indexOf(current);
+    const rowOf = (ep) => timelineRows.get(ep.year);
+
+    // Same position in another year: same column (and stack level) in the
+    // calendar layout, same index in the sequential one
+    const atSamePosition = (year) => {
+      const row = timelineRows.get(year);
+      if (!row || row.episodes.length === 0) return null;
+      if (layout === 'calendar') {
+        const level = rowOf(current).stackIndex.get(current.idx);
+        return row.episodes.reduce((best, ep) => {
+          const score = Math.abs(ep.week - current.week) * 10 + Math.abs(row.stackIndex.get(ep.idx) - level);
+          return !best || score < best.score ? { ep, score } : best;
+        }, null).ep;
+      }
+      const index = rowOf(current).episodes.indexOf(current);
+      return row.episodes[Math.min(index, row.episodes.length - 1)];
+    };
+    const yearPos = range.years.indexOf(current.year);
+
+    // Previous/next episode of the entity shown in the detail panel
+    const primary = selectedEntities[selectedEntities.length - 1];
+    const primaryEpisodes = primary
+      ? getEntityEpisodes((primary.type === 'guest' ? guestMap : characterMap).get(primary.name))
+      : [];
+
+    let target;
+    switch (e.key) {
+      case 'ArrowLeft':
+        target = timelineOrder[pos - 1];
+        break;
+      case 'ArrowRight':
+        target = timelineOrder[pos + 1];
+        break;
+      case 'ArrowUp':
+        target = atSamePosition(range.years[yearPos - 1]);
+        break;
+      case 'ArrowDown':
+        target = atSamePosition(range.years[yearPos + 1]);
+        break;
+      case 'Home':
+        target = rowOf(current).episodes[0];
+        break;
+      case 'End':
+        target = rowOf(current).episodes[rowOf(current).episodes.length - 1];
+        break;
+      case '[':
+        target = episodes[[...primaryEpisodes].reverse().find(idx => idx < current.idx)];
+        break;
+      case ']':
+        target = episodes[primaryEpisodes.find(idx => idx > current.idx)];
+        break;
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        setFocusedEpisode(current.idx);
+        setPinnedEpisode(pinnedEpisode === current.idx ? null : current.idx);
+        return;
+      case 'Escape':
+        setPinnedEpisode(null);
+        setSelectedEntities([]);
+        return;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    // Only move to episodes that are on the timeline (the entity may have episodes of hidden types)
+    if (target && timelineOrder.includes(target)) moveTimelineFocus(target.idx);
+  };
+
+
+  // ------------------------------------------------------------------------
+  // TIMELINE HANDLERS
+  // ------------------------------------------------------------------------
+  // Stable callbacks for the memoized TimelineGrid, so it only re-renders
+  // when the cells themselves change (not on every hover or selection).
+
+  // Keyboard handling reads the latest state through a ref
+  const timelineKeyDownRef = React.useRef(handleTimelineKeyDown);
+  timelineKeyDownRef.current = handleTimelineKeyDown;
+  const onTimelineKeyDown = useCallback((e) => timelineKeyDownRef.current(e), []);
+
+  // Toggle pin: if already pinned to this episode, unpin; otherwise pin
+  const toggleTimelinePin = useCallback((idx) => {
+    setPinnedEpisode(prev => prev === idx ? null : idx);
+  }, []);
+
+  // Tap on a cell (touch): preview it in place of hovering. Another episode's pin is dropped
+  // so the preview shows; tapping the pinned episode keeps it.
+  const previewTimelineEpisode = useCallback((idx) => {
+    setPinnedEpisode(prev => prev === idx ? prev : null);
+    setHoveredEpisode(idx);
+  }, []);
+
+  /**
+   * Pinch on the timeline: scale the zoom, keeping the spot between the
+   * fingers where it is (the scroll position is fixed up after rendering).
+   */
+  const pinchTimeline = useCallback((scale, clientX) => {
+    const scroller = timelineScrollRef.current;
+    const next = Math.min(TIMELINE_MAX_ZOOM, Math.max(1, timelineZoom * scale));
+    if (!scroller || next === timelineZoom) return;
+    const offset = clientX - scroller.getBoundingClientRect().left;
+    zoomAnchorRef.current = { x: (scroller.scrollLeft + offset) * next / timelineZoom, offset };
+    setTimelineZoom(next);
+  }, [timelineZoom]);
+
+  React.useLayoutEffect(() => {
+    const scroller = timelineScrollRef.current;
+    if (!zoomAnchorRef.current || !scroller) return;
+    scroller.scrollLeft = zoomAnchorRef.current.x - zoomAnchorRef.current.offset;
+    zoomAnchorRef.current = null;
+  }, [timelineZoom]);
+
+  const timelineTouch = useTimelineTouch({
+    onTap: previewTimelineEpisode,
+    onLongPress: toggleTimelinePin,
+    onPinch: pinchTimeline
+  });
+
+  // Year label click zooms the date range to that year
+  const zoomToYear = useCallback((year) => {
+    setRangeFrom(`${year}-01-01`);
+    setRangeTo(`${year}-12-31`);
+  }, []);
+
+  /**
+   * Pin the episode typed in the "Go to #" box. If it's hidden by the type
+   * filters or outside the date range, those are widened to show it.
+   */
+  const jumpToEpisode = () => {
+    const ep = findEpisodeByNumber(jumpQuery, episodes);
+    setJumpMissed(!ep);
+    if (!ep) return;
+
+    if (!shownTypeSet.has(ep.type)) {
+      setShownTypes(prev => EPISODE_TYPE_KEYS.filter(k => k === ep.type || prev.includes(k)));
+    }
+    if (ep.idx < range.startIdx || ep.idx > range.endIdx) {
+      setRangeFrom(null);
+      setRangeTo(null);
+    }
+    if (!showsTimeline && view !== 'records') setView('timeline');
+    setPinnedEpisode(ep.idx);
+    setFocusedEpisode(ep.idx);
+  };
+
+  const clearTimelineHover = () => {
+    // Clear any pending debounced hover and immediately clear state
+    if (hoverTimeoutRef.current) {
+      clearTimeout(hoverTimeoutRef.current);
+    }
+    setHoveredEpisode(null);
+  };
+
+  // The one cell reachable with Tab (arrow keys move it)
+  const tabStopEpisode = [focusedEpisode, pinnedEpisode]
+    .find(idx => idx !== null && timelineLayout.positions.has(idx)) ?? timelineOrder[0]?.idx;
+
+  // Hand both to TimelineGrid's cells before paint (see createTimelineCellStore)
+  const [timelineCellStore] = useState(createTimelineCellStore);
+  React.useLayoutEffect(() => {
+    timelineCellStore.set({ pinned: pinnedEpisode, tabStop: tabStopEpisode });
+  }, [timelineCellStore, pinnedEpisode, tabStopEpisode]);
+
+
+  // ========================================================================
+  // NETWORK COMPONENT
+  // ========================================================================
+  /**
+   * Renders the guest co-appearance network as an SVG.
+   * Node size = appearances, link width = shared episodes.
+   * Hovering a guest highlights their links; clicking selects them.
+   */
+  const NetworkView = () => {
+    if (!network) return null;
+    const { nodes, links, positions, neighbors, maxCount, maxWeight } = network;
+
+    if (nodes.length === 0) {
+      return (
+        <div className="text-gray-400 text-center py-12 text-sm">
+          No guests share {networkMinWeight} or more episodes in this range.
+        </div>
+      );
+    }
+
+    // Hovered guest and their neighbors stay bright, everything else fades
+    const hoveredIdx = hoveredEntity?.type === 'guest'
+      ? nodes.findIndex(n => n.name === hoveredEntity.name)
+      : -1;
+    const isFaded = (i) => hoveredIdx !== -1 && i !== hoveredIdx && !neighbors[hoveredIdx].has(i);
+
+    const getRadius = (count) => 3 + Math.sqrt(count / maxCount) * 12;
+
+    // Label the busiest guests, plus anyone selected or hovered
+    const labelCount = Math.min(20, nodes.length);
+
+    return (
+      <svg
+        viewBox={`-20 -20 ${NETWORK_WIDTH + 40} ${NETWORK_HEIGHT + 40}`}
+        className="w-full h-auto select-none"
+        onMouseLeave={() => setHoveredEntityDebounced(null)}
+      >
+        {/* Links */}
+        <g>
+          {links.map(({ source, target, weight }) => {
+            const active = hoveredIdx === source || hoveredIdx === target;
+            return (
+              <line
+                key={`${source}-${target}`}
+                x1={positions[source].x}
+                y1={positions[source].y}
+                x2={positions[target].x}
+                y2={positions[target].y}
+                stroke={active ? EPISODE_HOVER_COLOR : '#9CA3AF'}
+                strokeWidth={0.5 + (weight / maxWeight) * 4}
+                strokeOpacity={hoveredIdx === -1 ? 0.35 : active ? 0.8 : 0.08}
+              />
+            );
+          })}
+        </g>
+
+        {/* Nodes */}
+        <g>
+          {nodes.map((node, i) => {
+            const selected = getSelected(node.name, 'guest');
+            const r = getRadius(node.count);
+            const showLabel = i < labelCount || selected || i === hoveredIdx;
+            return (
+              <g
+                key={node.name}
+                data-network-node
+                transform={`translate(${positions[i].x}, ${positions[i].y})`}
+                className="cursor-pointer"
+                opacity={isFaded(i) ? 0.2 : 1}
+                onMouseEnter={() => setHoveredEntityDebounced({ name: node.name, type: 'guest' })}
+                onClick={() => handleEntityClick(node.name, 'guest')}
+              >
+                <title>{`${node.name}: ${node.count} episodes`}</title>
+                <circle
+                  r={r}
+                  fill={selected ? selected.color : EPISODE_DEFAULT_COLOR}
+                  stroke={i === hoveredIdx ? HOVER_OUTLINE_COLOR : 'white'}
+                  strokeWidth={i === hoveredIdx ? 2 : 1}
+                />
+                {showLabel && (
+                  <text
+                    y={-r - 3}
+                    textAnchor="middle"
+                    className="text-[10px] fill-gray-700 pointer-events-none"
+                    style={{ paintOrder: 'stroke', stroke: 'white', strokeWidth: 3 }}
+                  >
+                    {node.name}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </g>
+      </svg>
+    );
+  };
+
+
+  // ========================================================================
+  // MATRIX COMPONENT
+  // ========================================================================
+  /**
+   * Renders the shared-episode heatmap for the top guests or characters.
+   * Clicking a cell selects that pair so the timeline below shows their
+   * overlap; clicking a diagonal cell selects just that entity.
+   */
+  const MatrixView = () => {
+    if (!matrix) return null;
+    const { type, entities, counts, order, maxShared } = matrix;
+
+    const n = order.length;
+    const cell = Math.max(10, Math.min(20, Math.floor(480 / Math.max(n, 1))));
+    const labelWidth = 140;
+    const headerHeight = 110;
+    const size = n * cell;
+
+    const selectPair = (a, b) => {
+      setSelectedEntities(a === b
+        ? [{ name: a, type, color: getSelectionColor([]) }]
+        : [{ name: a, type, color: SELECTION_COLORS[0] }, { name: b, type, color: SELECTION_COLORS[1] }]
+      );
+    };
+
+    return (
+      <div className="overflow-x-auto mb-4">
+        <svg
+          width={labelWidth + size + 4}
+          height={headerHeight + size + 4}
+          className="select-none text-[10px]"
+        >
+          {/* Column labels (rotated) */}
+          {order.map((i, col) => (
+            <text
+              key={`col-${i}`}
+              transform={`translate(${labelWidth + col * cell + cell / 2 + 3}, ${headerHeight - 4}) rotate(-55)`}
+              className={getSelected(entities[i].name, type) ? 'fill-gray-900 font-bold' : 'fill-gray-500'}
+            >
+              {entities[i].name.length > 22 ? `${entities[i].name.slice(0, 21)}…` : entities[i].name}
+            </text>
+          ))}
+
+          {/* Rows: label + one cell per column */}
+          {order.map((i, row) => (
+            <g key={`row-${i}`} transform={`translate(0, ${headerHeight + row * cell})`}>
+              <text
+                x={labelWidth - 6}
+                y={cell / 2 + 3}
+                textAnchor="end"
+                className={getSelected(entities[i].name, type) ? 'fill-gray-900 font-bold' : 'fill-gray-500'}
+              >
+                {entities[i].name.length > 24 ? `${entities[i].name.slice(0, 23)}…` : entities[i].name}
+              </text>
+              {order.map((j, col) => {
+                const value = counts[i][j];
+                const isPair = getSelected(entities[i].name, type) && getSelected(entities[j].name, type);
+                const fill = i === j
+                  ? '#D1D5DB'
+                  : value === 0 ? '#F3F4F6' : getEpisodeBaseColor(value, maxShared);
+                return (
+                  <g
+                    key={j}
+                    data-matrix-cell
+                    transform={`translate(${labelWidth + col * cell}, 0)`}
+                    className="cursor-pointer"
+                    onClick={() => selectPair(entities[i].name, entities[j].name)}
+                  >
+                    <title>
+                      {i === j
+                        ? `${entities[i].name}: ${value} episodes`
+                        : `${entities[i].name} & ${entities[j].name}: ${value} shared episodes`}
+                    </title>
+                    <rect
+                      width={cell - 1}
+                      height={cell - 1}
+                      rx={2}
+                      fill={fill}
+                      stroke={isPair ? PINNED_OUTLINE_COLOR : 'none'}
+                      strokeWidth={2}
+                    />
+                    {cell >= 16 && value > 0 && i !== j && (
+                      <text
+                        x={(cell - 1) / 2}
+                        y={cell / 2 + 3}
+                        textAnchor="middle"
+                        className={`pointer-events-none ${value / maxShared > 0.5 ? 'fill-white' : 'fill-gray-700'}`}
+                      >
+                        {value}
+                      </text>
+                    )}
+                  </g>
+                );
+              })}
+            </g>
+          ))}
+        </svg>
+      </div>
+    );
+  };
+
+
+  // ========================================================================
+  // WHAT'S NEW COMPONENT
+  // ========================================================================
+  /**
+   * Hide the badges of every release so far and close the panel.
+   */
+  const dismissDataChanges = () => {
+    const latest = changelog[0].version;
+    saveSeenDataVersion(latest);
+    setSeenDataVersion(latest);
+    setWhatsNewOpen(false);
+  };
+
+  /**
+   * Renders the data changelog, newest release first. New episodes pin,
+   * new and renamed guests/characters select. Releases that aren't
+   * dismissed yet are marked, and their additions are badged elsewhere.
+   */
+  const WhatsNewPanel = () => {
+    const chip = 'px-1.5 py-0.5 rounded bg-gray-100 text-gray-700 hover:bg-amber-50';
+    const describe = (e) => `#${e.number} ${e.title}`;
+
+    const entityChip = (name, type, label = name) => {
+      const exists = (type === 'guest' ? guestMap : characterMap).has(name);
+      return exists ? (
+        <button key={`${type}:${label}`} onClick={() => selectOnly(name, type)} className={chip}>{label}</button>
+      ) : (
+        <span key={`${type}:${label}`} className="px-1.5 py-0.5 text-gray-400">{label}</span>
+      );
+    };
+
+    const listChanges = (label, { added, removed }) => [
+      ...added.map(name => `+${label} ${name}`),
+      ...removed.map(name => `−${label} ${name}`)
+    ];
+
+    return (
+      <div className="mb-4 bg-white rounded-xl p-3 shadow-sm text-xs text-gray-600">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="font-semibold text-gray-800 text-sm">What's new in the data</h2>
+          <div className="flex items-center gap-2">
+            {unseenChanges.length > 0 && (
+              <button
+                onClick={dismissDataChanges}
+                className="px-2 py-1 rounded bg-gray-900 text-white hover:bg-gray-700"
+              >
+                Dismiss
+              </button>
+            )}
+            <button onClick={() => setWhatsNewOpen(false)} className="text-gray-400 hover:text-gray-700">
+              Close
+            </button>
+          </div>
+        </div>
+
+        <div className="space-y-3 max-h-80 overflow-y-auto scrollbar-thin pr-1">
+          {changelog.map(entry => {
+            const isUnseen = unseenChanges.includes(entry);
+            const removed = [
+              ...entry.episodes.removed.map(describe),
+              ...entry.guests.removed,
+              ...entry.characters.removed
+            ];
+
+            return (
+              <div key={entry.version} className="border-t border-gray-100 pt-2 first:border-0 first:pt-0 space-y-1">
+                <div className="flex items-baseline gap-2">
+                  <span className="font-semibold text-gray-800">{entry.date}</span>
+                  {isUnseen && (
+                    <span className="px-1 rounded bg-red-100 text-red-600 text-[10px] font-semibold uppercase">New</span>
+                  )}
+                  <span className="text-gray-400">
+                    {entry.episodes.added.length} new episodes • {entry.guests.added.length} new guests • {entry.characters.added.length} new characters
+                  </span>
+                </div>
+
+                {entry.episodes.added.length > 0 && (
+                  <div className="flex flex-wrap gap-1">
+                    {entry.episodes.added.map(e => {
+                      const idx = episodeByChangelogKey.get(getChangelogEpisodeKey(e));
+                      return idx === undefined ? (
+                        <span key={describe(e)} className="px-1.5 py-0.5 text-gray-400">{describe(e)}</span>
+                      ) : (
+                        <button
+                          key={describe(e)}
+                          onClick={() => {
+                            setPinnedEpisode(idx);
+                            setFocusedEpisode(idx);
+                          }}
+                          className={idx === pinnedEpisode ? `${chip} bg-amber-100` : chip}
+                          title={e.date}
+                        >
+                          {describe(e)}
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+                {entry.guests.added.length > 0 && (
+                  <div className="flex flex-wrap items-center gap-1">
+                    <span className="text-gray-400 w-16">Guests</span>
+                    {entry.guests.added.map(name => entityChip(name, 'guest'))}
+                  </div>
+                )}
+                {entry.characters.added.length > 0 && (
+                  <div className="flex flex-wrap items-center gap-1">
+                    <span className="text-gray-400 w-16">Characters</span>
+                    {entry.characters.added.map(name => entityChip(name, 'character'))}
+                  </div>
+                )}
+                {entry.guests.renamed.length + entry.characters.renamed.length > 0 && (
+                  <div className="flex flex-wrap items-center gap-1">
+                    <span className="text-gray-400 w-16">Renamed</span>
+                    {entry.guests.renamed.map(r => entityChip(r.to, 'guest', `${r.from} → ${r.to}`))}
+                    {entry.characters.renamed.map(r => entityChip(r.to, 'character', `${r.from} → ${r.to}`))}
+                  </div>
+                )}
+                {removed.length > 0 && (
+                  <div className="flex flex-wrap items-center gap-1">
+                    <span className="text-gray-400 w-16">Removed</span>
+                    {removed.map(label => (
+                      <span key={label} className="px-1.5 py-0.5 text-gray-400 line-through">{label}</span>
+                    ))}
+                  </div>
+                )}
+                {entry.episodes.changed.length > 0 && (
+                  <details>
+                    <summary className="cursor-pointer text-gray-500">{entry.episodes.changed.length} episodes changed</summary>
+                    <ul className="mt-1 ml-4 space-y-0.5">
+                      {entry.episodes.changed.map(e => (
+                        <li key={describe(e)}>
+                          <span className="text-gray-800">{describe(e)}</span>{': '}
+                          {[
+                            ...(e.oldTitle !== undefined ? [`title was "${e.oldTitle}"`] : []),
+                            ...(e.oldDate !== undefined ? [`date was ${e.oldDate}`] : []),
+                            ...listChanges('guest', e.guests),
+                            ...listChanges('character', e.characters)
+                          ].join(', ')}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+                {entry.images.length > 0 && (
+                  <details>
+                    <summary className="cursor-pointer text-gray-500">{entry.images.length} images changed</summary>
+                    <ul className="mt-1 ml-4 space-y-0.5">
+                      {entry.images.map(i => (
+                        <li key={`${i.type}:${i.name}`}>
+                          <span className="text-gray-400">{i.type}</span> {i.name}
+                          {!i.to && <span className="text-gray-400"> (removed)</span>}
+                          {!i.from && <span className="text-gray-400"> (added)</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  };
+
 
+  // ========================================================================
+  // RECORDS COMPONENT
+  // ========================================================================
   /**
-   * Handle entity selection (click on entity in list or episode summary).
-   * - Click on primary → unselect primary
-   * - Click on secondary → unselect secondary
-   * - Click on unselected when no primary → set as primary
-   * - Click on unselected when primary exists → set/replace secondary
+   * Renders the leaderboards. Episodes pin, guests and characters select,
+   * and years zoom the timeline to that year.
    */
-  const handleEntityClick = useCallback((name) => {
-    if (name === primaryEntity) {
-      setPrimaryEntity(null);
-    } else if (name === secondaryEntity) {
-      setSecondaryEntity(null);
-    } else if (!primaryEntity) {
-      setPrimaryEntity(name);
-    } else {
-      setSecondaryEntity(name);
-    }
-  }, [primaryEntity, secondaryEntity]);
+  const RecordsView = () => {
+    if (!records) return null;
+
+    const openEntry = (entry) => {
+      if (entry.ep) {
+        setPinnedEpisode(pinnedEpisode === entry.ep.idx ? null : entry.ep.idx);
+      } else if (entry.entity) {
+        selectOnly(entry.entity.name, entry.entity.type);
+      } else if (entry.year) {
+        setRangeFrom(`${entry.year}-01-01`);
+        setRangeTo(`${entry.year}-12-31`);
+        setView('timeline');
+      }
+    };
 
-  // Month labels and their approximate starting weeks (for timeline header)
-  const months = ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'];
-  const monthWeeks = [0, 4, 8, 13, 17, 22, 26, 30, 35, 39, 44, 48];
+    return (
+      <div className="grid grid-cols-2 xl:grid-cols-4 gap-3 mb-4">
+        {records.map(board => (
+          <div key={board.title} className="bg-gray-50 rounded-lg p-2 text-xs">
+            <div className="font-semibold text-gray-700 mb-1">{board.title}</div>
+            <ol className="space-y-0.5">
+              {board.entries.map((entry, i) => (
+                <li key={entry.label}>
+                  <button
+                    data-record-entry
+                    onClick={() => openEntry(entry)}
+                    onMouseEnter={() => entry.ep && setHoveredEpisode(entry.ep.idx)}
+                    onMouseLeave={() => entry.ep && setHoveredEpisode(null)}
+                    className={`w-full flex items-baseline gap-1 text-left rounded px-1 hover:bg-amber-50 ${
+                      entry.ep && entry.ep.idx === pinnedEpisode ? 'bg-amber-100' : ''
+                    }`}
+                    style={entry.entity && getSelected(entry.entity.name, entry.entity.type)
+                      ? getSelectedStyle(getSelected(entry.entity.name, entry.entity.type).color)
+                      : undefined}
+                  >
+                    <span className="w-3 shrink-0 text-gray-400">{i + 1}</span>
+                    <span className="flex-1 truncate text-gray-800" title={entry.label}>{entry.label}</span>
+                    <span className="shrink-0 text-gray-500">{entry.value}</span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </div>
+        ))}
+      </div>
+    );
+  };
 
 
   // ========================================================================
-  // TIMELINE COMPONENT
+  // TRENDS COMPONENT
   // ========================================================================
   /**
-   * Renders a sequential episode timeline.
-   * Each row is a year, each cell is one episode (no overlapping).
-   * Episodes are laid out left-to-right in chronological order.
-   *
-   * This is defined inside App() so it has access to App's state and data.
-   * In a larger app, you might move this to a separate file and pass props.
+   * Renders the yearly trends as small bar charts, one column per year.
+   * Clicking a year zooms the date range to it and shows the timeline.
    */
-  const Timeline = () => {
-    return (
-      <div
-        className="space-y-0.5"
-        onMouseLeave={() => {
-          // Clear any pending debounced hover and immediately clear state
-          if (hoverTimeoutRef.current) {
-            clearTimeout(hoverTimeoutRef.current);
-          }
-          setHoveredEpisode(null);
-        }}
-      >
-        {/* One row per year */}
-        {years.map(year => {
-          const yearEps = episodesByYear.get(year) || [];
+  const TrendsView = () => {
+    if (!yearTrends) return null;
 
-          // Filter out live episodes if checkbox is unchecked
-          const filteredYearEps = includeLiveEps
-            ? yearEps
-            : yearEps.filter(ep => !isLiveEpisode(ep));
+    const inRange = new Set(range.years);
+    const labelEvery = Math.ceil(yearTrends.length / 8);
 
-          // Count how many episodes feature each selected entity
-          const primaryCount = primaryEntity ? filteredYearEps.filter(ep => episodeHasEntity(ep, primaryEntity)).length : 0;
-          const secondaryCount = secondaryEntity ? filteredYearEps.filter(ep => episodeHasEntity(ep, secondaryEntity)).length : 0;
+    const openYear = (year) => {
+      zoomToYear(year);
+      setView('timeline');
+    };
 
-          return (
-            <div key={year} className="flex items-center">
-              {/* Year label */}
-              <div className="w-12 shrink-0 text-xs font-bold text-gray-500 pr-2 text-right">
-                {year}
-              </div>
+    const charts = [
+      {
+        title: 'Episodes',
+        series: [{ key: 'episodes', label: 'Episodes', color: EPISODE_DEFAULT_COLOR }],
+        format: n => `${n} episodes`
+      },
+      {
+        title: 'Average per episode',
+        series: [
+          { key: 'avgGuests', label: 'Guests', color: EPISODE_DEFAULT_COLOR },
+          { key: 'avgCharacters', label: 'Characters', color: EPISODE_SECONDARY_COLOR }
+        ],
+        format: n => n.toFixed(1)
+      },
+      {
+        title: 'Debuts',
+        series: [
+          { key: 'newGuests', label: 'Guests', color: EPISODE_DEFAULT_COLOR },
+          { key: 'newCharacters', label: 'Characters', color: EPISODE_SECONDARY_COLOR }
+        ],
+        format: n => String(n)
+      },
+      {
+        title: 'Episodes with a returning character',
+        series: [{ key: 'returningShare', label: 'Share', color: EPISODE_SECONDARY_COLOR }],
+        format: n => `${Math.round(n * 100)}%`
+      },
+      {
+        title: 'Median gap between releases',
+        series: [{ key: 'medianGapDays', label: 'Gap', color: EPISODE_BEST_OF_COLOR }],
+        format: n => formatDuration(n)
+      }
+    ];
 
-              {/* Episode cells - one per episode, sequential */}
-              <div
-                className="flex"
-                style={{ gap: 1 }}
-              >
-                {filteredYearEps.map((ep) => {
-                  const hasPrimary = episodeHasEntity(ep, primaryEntity);
-                  const hasSecondary = episodeHasEntity(ep, secondaryEntity);
-                  const isPinned = ep.idx === pinnedEpisode;
-
-                  // Check if this episode contains the hovered entity
-                  const hasHoveredEntity = hoveredEntity && (
-                    (hoveredEntity.type === 'guest' && ep.guests.includes(hoveredEntity.name)) ||
-                    (hoveredEntity.type === 'character' && ep.characters.includes(hoveredEntity.name))
-                  );
-
-                  // Determine if hovering would select as secondary (primary exists and hovering something else)
-                  const wouldBeSecondary = hoveredEntity && primaryEntity && hoveredEntity.name !== primaryEntity;
-
-                  // Determine cell background color based on state
-                  let bgColor;
-                  if (hasHoveredEntity) {
-                    if (wouldBeSecondary && hasPrimary) {
-                      bgColor = EPISODE_BOTH_COLOR;  // Overlap: hovering future-secondary + has primary
-                    } else if (wouldBeSecondary) {
-                      bgColor = EPISODE_SECONDARY_COLOR;  // Hovering entity that would become secondary
-                    } else {
-                      bgColor = EPISODE_PRIMARY_COLOR;  // Hovering primary or would-be-primary
-                    }
-                  } else if (hasPrimary && hasSecondary) {
-                    bgColor = EPISODE_BOTH_COLOR;
-                  } else if (hasPrimary) {
-                    bgColor = EPISODE_PRIMARY_COLOR;
-                  } else if (hasSecondary) {
-                    bgColor = EPISODE_SECONDARY_COLOR;
-                  } else if (isLiveEpisode(ep)) {
-                    bgColor = EPISODE_LIVE_COLOR;
-                  } else {
-                    // Base color scaled by selected metric
-                    switch (colorMode) {
-                      case 'characters':
-                        bgColor = getEpisodeBaseColor(ep.num_characters, data.stats.maxCharacters);
-                        break;
-                      case 'chars-per-guest':
-                        bgColor = getEpisodeBaseColor(ep.characters_per_guest, data.stats.maxCharactersPerGuest);
-                        break;
-                      case 'newest-char-age': {
-                        const ages = getEpisodeCharacterAges(ep, characterMap);
-                        if (ages.min === null) {
-                          bgColor = 'hsl(210, 50%, 90%)';  // Light gray for eps with no characters
-                        } else if (ages.min === 0) {
-                          bgColor = '#AF7595';  // Mauve for character debuts
-                        } else {
-                          // Scale ages 1+ using the normal blue scale (subtract 1 so age=1 is lightest)
-                          bgColor = getEpisodeBaseColor(ages.min - 1, (characterAgeStats?.maxOfMinAge || 1) - 1);
-                        }
-                        break;
-                      }
-                      case 'oldest-char-age': {
-                        const ages = getEpisodeCharacterAges(ep, characterMap);
-                        if (ages.max === null) {
-                          bgColor = 'hsl(210, 50%, 90%)';  // Light gray for eps with no characters
-                        } else if (ages.max === 0) {
-                          bgColor = '#AF7595';  // Mauve for all-debut episodes
-                        } else {
-                          // Scale ages 1+ using the normal blue scale (subtract 1 so age=1 is lightest)
-                          bgColor = getEpisodeBaseColor(ages.max - 1, (characterAgeStats?.maxOfMaxAge || 1) - 1);
-                        }
-                        break;
-                      }
-                      default: // 'guests'
-                        bgColor = getEpisodeBaseColor(ep.num_guests, data.stats.maxGuests);
-                    }
-                  }
-
-                  // Pinned state uses special styling
-                  const pinnedStyles = isPinned
-                    ? { backgroundColor: 'hsl(38,92%,50%)', outline: '3px solid hsl(38,92%,50%)' }
-                    : {};
-
-                  return (
-                    <div
-                      key={ep.idx}
-                      data-timeline-cell
-                      className={`rounded-sm cursor-pointer ${
-                        isPinned
-                          ? 'z-10'
-                          : '[background:var(--cell-bg)] hover:bg-[#004777] hover:outline hover:outline-[3px] hover:outline-[hsl(45,100%,51%)] hover:z-10'
-                      }`}
-                      style={{
-                        '--cell-bg': bgColor,
-                        width: cellSize,
-                        height: cellSize,
-                        ...pinnedStyles
-                      }}
-                      onMouseEnter={() => setHoveredEpisodeDebounced(ep.idx)}
-                      onClick={() => {
-                        // Toggle pin: if already pinned to this episode, unpin; otherwise pin
-                        setPinnedEpisode(pinnedEpisode === ep.idx ? null : ep.idx);
-                      }}
-                    />
-                  );
-                })}
-              </div>
+    return (
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-3 mb-4">
+        {charts.map(chart => {
+          const max = Math.max(0, ...yearTrends.flatMap(row => chart.series.map(s => row[s.key] || 0)));
+          const describe = (row) => chart.series
+            .map(s => `${chart.series.length > 1 ? `${s.label}: ` : ''}${row[s.key] === null ? 'n/a' : chart.format(row[s.key])}`)
+            .join(', ');
 
-              {/* Episode count for this year */}
-              <div className="w-20 shrink-0 text-xs text-gray-500 pl-2 font-mono">
-                {(primaryCount > 0 || secondaryCount > 0) ? (
-                  <span>
-                    {primaryCount > 0 && <span className="text-amber-600 font-bold">{primaryCount}</span>}
-                    {primaryCount > 0 && secondaryCount > 0 && <span className="text-gray-400">+</span>}
-                    {secondaryCount > 0 && <span className="text-green-500 font-bold">{secondaryCount}</span>}
-                    <span className="text-gray-400">/{filteredYearEps.length}</span>
+          return (
+            <div key={chart.title} className="bg-gray-50 rounded-lg p-2 text-xs" data-trend-chart>
+              <div className="flex items-baseline justify-between mb-1">
+                <span className="font-semibold text-gray-700">{chart.title}</span>
+                {chart.series.length > 1 && (
+                  <span className="flex gap-2 text-gray-500">
+                    {chart.series.map(s => (
+                      <span key={s.key} className="flex items-center gap-1">
+                        <span className="w-2 h-2 rounded-sm" style={{ background: s.color }} />
+                        {s.label}
+                      </span>
+                    ))}
                   </span>
-                ) : (
-                  <span className="text-gray-400">{filteredYearEps.length}</span>
                 )}
               </div>
+              <div className="flex items-end gap-px h-24">
+                {yearTrends.map(row => (
+                  <button
+                    key={row.year}
+                    data-trend-year={row.year}
+                    onClick={() => openYear(row.year)}
+                    title={`${row.year}: ${describe(row)}`}
+                    aria-label={`${row.year}: ${describe(row)}`}
+                    className={`flex-1 h-full flex items-end gap-px rounded-sm hover:bg-amber-100 ${
+                      inRange.has(row.year) ? '' : 'opacity-30'
+                    }`}
+                  >
+                    {chart.series.map(s => (
+                      <span
+                        key={s.key}
+                        className="flex-1 rounded-t-sm"
+                        style={{ height: `${max ? (row[s.key] || 0) / max * 100 : 0}%`, background: s.color }}
+                      />
+                    ))}
+                  </button>
+                ))}
+              </div>
+              <div className="flex gap-px mt-0.5 text-gray-400" style={{ fontSize: 10 }}>
+                {yearTrends.map((row, i) => (
+                  <span key={row.year} className="flex-1 text-center">
+                    {i % labelEvery === 0 ? `'${String(row.year).slice(2)}` : ''}
+                  </span>
+                ))}
+              </div>
             </div>
           );
         })}
+      </div>
+    );
+  };
+
+
+  // ========================================================================
+  // COHORTS COMPONENT
+  // ========================================================================
+  /**
+   * Renders the retention triangle for the guests or characters (following
+   * the entity list's type). Clicking a cell lists who it counts, to select
+   * one by one or all at once.
+   */
+  const CohortsView = () => {
+    if (!cohorts) return null;
+    const { type, rows } = cohorts;
+    const maxOffset = rows.length ? rows[0].returned.length : 0;
+    const offsets = Array.from({ length: maxOffset }, (_, i) => i + 1);
+    const label = type === 'guest' ? 'guests' : 'characters';
+
+    const openCell = cohortCell && cohortCell.type === type
+      ? rows.find(row => row.year === cohortCell.year)
+      : null;
+    const openNames = !openCell ? []
+      : cohortCell.offset === 0 ? openCell.members : openCell.returned[cohortCell.offset - 1];
+
+    const selectAll = () => {
+      setSelectedEntities(openNames.reduce((sel, name) => [...sel, { name, type, color: getSelectionColor(sel) }], []));
+    };
+
+    const isOpen = (year, offset) => openCell && openCell.year === year && cohortCell.offset === offset;
+
+    return (
+      <div className="mb-4 text-xs">
+        <div className="overflow-x-auto">
+          <table className="border-separate" style={{ borderSpacing: 1 }}>
+            <thead>
+              <tr className="text-gray-500">
+                <th className="px-1 text-left font-medium">Debut</th>
+                <th className="px-1 text-right font-medium">{type === 'guest' ? 'Guests' : 'Characters'}</th>
+                {offsets.map(k => <th key={k} className="px-1 font-medium">+{k}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.year}>
+                  <td className="px-1 text-gray-500">{row.year}</td>
+                  <td className="px-0">
+                    <button
+                      data-cohort-cell={`${row.year}:0`}
+                      onClick={() => setCohortCell({ type, year: row.year, offset: 0 })}
+                      disabled={row.members.length === 0}
+                      className={`w-full px-1 text-right rounded hover:bg-amber-50 ${
+                        isOpen(row.year, 0) ? 'bg-amber-100 font-semibold' : 'text-gray-700'
+                      }`}
+                    >
+                      {row.members.length}
+                    </button>
+                  </td>
+                  {offsets.map(k => {
+                    if (k > row.returned.length) return <td key={k} />;
+                    const back = row.returned[k - 1].length;
+                    const share = row.members.length ? back / row.members.length : 0;
+                    return (
+                      <td key={k} className="p-0">
+                        <button
+                          data-cohort-cell={`${row.year}:${k}`}
+                          onClick={() => setCohortCell({ type, year: row.year, offset: k })}
+                          disabled={back === 0}
+                          title={`${row.year} ${label} back in ${row.year + k}: ${back} of ${row.members.length}`}
+                          className={`w-9 h-5 rounded-sm ${share > 0.5 ? 'text-white' : 'text-gray-700'} ${
+                            back === 0 ? 'cursor-default' : ''
+                          }`}
+                          style={{
+                            background: back === 0 ? '#F3F4F6' : getEpisodeBaseColor(share, 1),
+                            boxShadow: isOpen(row.year, k) ? `inset 0 0 0 2px ${PINNED_OUTLINE_COLOR}` : undefined
+                          }}
+                        >
+                          {back === 0 ? '' : `${Math.round(share * 100)}%`}
+                        </button>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
 
+        {openCell && (
+          <div className="mt-3 bg-gray-50 rounded-lg p-2" data-cohort-list>
+            <div className="flex items-baseline justify-between gap-2 mb-1">
+              <span className="font-semibold text-gray-700">
+                {cohortCell.offset === 0
+                  ? `${openNames.length} ${label} who debuted in ${openCell.year}`
+                  : `${openNames.length} of ${openCell.members.length} ${label} from ${openCell.year} back in ${openCell.year + cohortCell.offset}`}
+              </span>
+              <span className="flex gap-2 shrink-0">
+                <button onClick={selectAll} className="text-blue-600 hover:text-blue-800">Select all</button>
+                <button onClick={() => setCohortCell(null)} className="text-gray-400 hover:text-gray-700">Close</button>
+              </span>
+            </div>
+            <div className="flex flex-wrap gap-1">
+              {openNames.map(name => {
+                const selected = getSelected(name, type);
+                return (
+                  <button
+                    key={name}
+                    onClick={() => handleEntityClick(name, type)}
+                    className={`px-2 py-0.5 rounded text-gray-700 ${selected ? '' : 'bg-white hover:bg-gray-200'}`}
+                    style={selected ? getSelectedStyle(selected.color) : undefined}
+                  >
+                    {name}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        )}
       </div>
     );
   };
@@ -803,6 +3712,31 @@ function App() {
     const ep = episodes[displayEpisodeIdx];
     const isPinned = pinnedEpisode !== null;
 
+    // Group characters by the guest who played them in this episode.
+    // A character with several performers shows up under each of them.
+    const characterGroups = ep.guests
+      .map(g => ({ guest: g, characters: ep.characters.filter(c => ep.performers[c].includes(g)) }))
+      .filter(group => group.characters.length > 0);
+    const unattributed = ep.characters.filter(c => ep.performers[c].length === 0);
+    if (unattributed.length > 0) characterGroups.push({ guest: null, characters: unattributed });
+
+    const renderCharacterButton = (c) => {
+      const selected = getSelected(c, 'character');
+      return (
+        <button
+          key={c}
+          onClick={() => handleEntityClick(c, 'character')}
+          onMouseEnter={() => setHoveredEntity({ name: c, type: 'character' })}
+          className={`px-2 py-0.5 rounded text-xs transition-colors text-gray-700 ${
+            selected ? '' : 'bg-gray-100 hover:bg-gray-200'
+          }`}
+          style={selected ? getSelectedStyle(selected.color) : undefined}
+        >
+          {c}
+        </button>
+      );
+    };
+
     return (
       <div className="mt-4 pt-4 border-t border-gray-100" data-episode-summary>
         {/* Episode header with image placeholder */}
@@ -814,29 +3748,13 @@ function App() {
             rel="noopener noreferrer"
             className="shrink-0 hover:opacity-80 transition-opacity"
           >
-            {ep.imageUrl ? (
-              <img
-                src={ep.imageUrl}
-                alt={ep.title}
-                className="w-24 h-24 rounded-lg object-cover bg-gray-100"
-                loading="lazy"
-                referrerPolicy="no-referrer"
-                crossOrigin="anonymous"
-                onError={(e) => {
-                  // Replace failed image with placeholder
-                  e.target.style.display = 'none';
-                  e.target.nextElementSibling.style.display = 'flex';
-                }}
-              />
-            ) : null}
-            <div
-              className="w-24 h-24 rounded-lg bg-gray-100 flex items-center justify-center"
-              style={{ display: ep.imageUrl ? 'none' : 'flex' }}
-            >
-              <svg className="w-12 h-12 text-gray-300" fill="currentColor" viewBox="0 0 20 20">
-                <path fillRule="evenodd" d="M4 3a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V5a2 2 0 00-2-2H4zm12 12H4l4-8 3 6 2-4 3 6z" clipRule="evenodd" />
-              </svg>
-            </div>
+            <FallbackImage src={ep.imageUrl} alt={ep.title} className="w-24 h-24 rounded-lg object-cover bg-gray-100">
+              <div className="w-24 h-24 rounded-lg bg-gray-100 flex items-center justify-center">
+                <svg className="w-12 h-12 text-gray-300" fill="currentColor" viewBox="0 0 20 20">
+                  <path fillRule="evenodd" d="M4 3a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V5a2 2 0 00-2-2H4zm12 12H4l4-8 3 6 2-4 3 6z" clipRule="evenodd" />
+                </svg>
+              </div>
+            </FallbackImage>
           </a>
           <div className="flex-1 min-w-0">
             <div className="flex items-start justify-between">
@@ -852,6 +3770,11 @@ function App() {
                 <div className="text-gray-500 text-sm">
                   #{ep.number} • {ep.date.toLocaleDateString()}
                 </div>
+                {numberOrderIssues.has(ep.idx) && (
+                  <div className="text-xs text-amber-700">
+                    Came out before #{numberOrderIssues.get(ep.idx).number} ({numberOrderIssues.get(ep.idx).date.toLocaleDateString()})
+                  </div>
+                )}
                 {/* Listen on Earwolf link */}
                 <a
                   href={getEarwolfUrl(ep.title)}
@@ -891,26 +3814,16 @@ function App() {
               onMouseLeave={() => setHoveredEntity(null)}
             >
               {ep.guests.length ? ep.guests.map((g) => {
-                const isPrimary = entityType === 'guest' && g === primaryEntity;
-                const isSecondary = entityType === 'guest' && g === secondaryEntity;
+                const selected = getSelected(g, 'guest');
                 return (
                   <button
                     key={g}
-                    onClick={() => {
-                      if (entityType !== 'guest') {
-                        setEntityType('guest');
-                        setSecondaryEntity(null);
-                        setPrimaryEntity(g);
-                      } else {
-                        handleEntityClick(g);
-                      }
-                    }}
+                    onClick={() => handleEntityClick(g, 'guest')}
                     onMouseEnter={() => setHoveredEntity({ name: g, type: 'guest' })}
-                    className={`px-2 py-0.5 rounded text-xs transition-colors ${
-                      isPrimary ? 'bg-amber-100 text-amber-800 ring-1 ring-amber-400' :
-                      isSecondary ? 'bg-green-100 text-green-800 ring-1 ring-green-400' :
-                      'bg-gray-100 hover:bg-gray-200 text-gray-700'
+                    className={`px-2 py-0.5 rounded text-xs transition-colors text-gray-700 ${
+                      selected ? '' : 'bg-gray-100 hover:bg-gray-200'
                     }`}
+                    style={selected ? getSelectedStyle(selected.color) : undefined}
                   >
                     {g}
                   </button>
@@ -919,39 +3832,23 @@ function App() {
             </div>
           </div>
 
-          {/* Characters column */}
+          {/* Characters column, grouped under the guest who played them */}
           <div>
             <div className="text-emerald-600 font-medium mb-2 text-xs uppercase tracking-wide">Characters</div>
             <div
-              className="flex flex-wrap gap-1"
+              className="space-y-1.5"
               onMouseLeave={() => setHoveredEntity(null)}
             >
-              {ep.characters.length ? ep.characters.map((c) => {
-                const isPrimary = entityType === 'character' && c === primaryEntity;
-                const isSecondary = entityType === 'character' && c === secondaryEntity;
-                return (
-                  <button
-                    key={c}
-                    onClick={() => {
-                      if (entityType !== 'character') {
-                        setEntityType('character');
-                        setSecondaryEntity(null);
-                        setPrimaryEntity(c);
-                      } else {
-                        handleEntityClick(c);
-                      }
-                    }}
-                    onMouseEnter={() => setHoveredEntity({ name: c, type: 'character' })}
-                    className={`px-2 py-0.5 rounded text-xs transition-colors ${
-                      isPrimary ? 'bg-amber-100 text-amber-800 ring-1 ring-amber-400' :
-                      isSecondary ? 'bg-green-100 text-green-800 ring-1 ring-green-400' :
-                      'bg-gray-100 hover:bg-gray-200 text-gray-700'
-                    }`}
-                  >
-                    {c}
-                  </button>
-                );
-              }) : <span className="text-gray-400 text-xs">None</span>}
+              {characterGroups.length ? characterGroups.map(group => (
+                <div key={group.guest || '(unknown)'}>
+                  <div className="text-[10px] text-gray-400 mb-0.5">
+                    {group.guest || 'Performer unknown'}
+                  </div>
+                  <div className="flex flex-wrap gap-1">
+                    {group.characters.map(renderCharacterButton)}
+                  </div>
+                </div>
+              )) : <span className="text-gray-400 text-xs">None</span>}
             </div>
           </div>
         </div>
@@ -963,9 +3860,7 @@ function App() {
   const memoizedEpisodeSummary = useMemo(() => <EpisodeSummary />, [
     pinnedEpisode,
     hoveredEpisode,
-    entityType,
-    primaryEntity,
-    secondaryEntity
+    selectedEntities
   ]);
 
 
@@ -976,17 +3871,16 @@ function App() {
    * Renders the scrollable list of guests or characters.
    * Each item shows:
    * - Recency dot (colored purple→green based on last appearance)
-   * - Name
+   * - Name, with a "New" badge if it's new in an unseen data release
    * - Frequency bar
    * - Appearance count
    *
    * Scroll container is kept outside memoized content to preserve scroll position.
    */
-  const EntityListItems = React.memo(({ entities, primary, secondary, type, onSelect, onHover }) => (
+  const EntityListItems = React.memo(({ entities, selection, type, newEntities, onSelect, onHover }) => (
     <>
       {entities.map((entity) => {
-        const isPrimary = primary === entity.name;
-        const isSecondary = secondary === entity.name;
+        const selected = selection.find(s => s.name === entity.name && s.type === type);
         const recencyRatio = entity.lastIdx / (episodes.length - 1);
         const count = getEntityCount(entity);
         const maxCount = entities[0] ? getEntityCount(entities[0]) : 1;
@@ -996,13 +3890,12 @@ function App() {
           <button
             key={entity.name}
             type="button"
-            onClick={() => onSelect(entity.name)}
+            onClick={() => onSelect(entity.name, type)}
             onMouseEnter={() => onHover({ name: entity.name, type })}
             className={`w-full px-2 py-1 rounded cursor-pointer flex items-center gap-2 text-left ${
-              isPrimary ? 'bg-amber-100 ring-1 ring-amber-400' :
-              isSecondary ? 'bg-green-100 ring-1 ring-green-400' :
-              'hover:bg-gray-100'
+              selected ? '' : 'hover:bg-gray-100'
             }`}
+            style={selected ? getSelectedStyle(selected.color) : undefined}
           >
             <span
               className="w-2 h-2 rounded-full shrink-0 pointer-events-none"
@@ -1011,6 +3904,11 @@ function App() {
             <span className="flex-1 text-xs font-medium truncate pointer-events-none">
               {entity.name}
             </span>
+            {newEntities.has(`${type}:${entity.name}`) && (
+              <span className="px-1 rounded bg-red-100 text-red-600 text-[10px] font-semibold uppercase pointer-events-none">
+                New
+              </span>
+            )}
             <span className="w-10 h-1 bg-gray-200 rounded-full overflow-hidden pointer-events-none">
               <span
                 className="block h-full bg-blue-500 rounded-full"
@@ -1038,16 +3936,19 @@ function App() {
    * - Related entities (guest's characters or character's players)
    */
   const EntityDetail = () => {
+    // The most recently selected entity is the one shown in detail
+    const focused = selectedEntities[selectedEntities.length - 1];
+
     // Show placeholder if nothing selected
-    if (!primaryEntity) {
+    if (!focused) {
       return (
         <div className="text-gray-400 text-center py-6 text-sm">
-          Select a {entityType} to see details. Select two to see overlap.
+          Select a guest or character to see details. Select more to compare.
         </div>
       );
     }
 
-    const entity = entityLookup.get(primaryEntity);
+    const entity = (focused.type === 'guest' ? guestMap : characterMap).get(focused.name);
     if (!entity) return null;
 
     const firstEp = episodes[entity.firstIdx];
@@ -1061,76 +3962,95 @@ function App() {
     });
     const maxYearCount = Math.max(...Array.from(yearCounts.values()));
 
+    // Streaks, gaps and tenure, measured against the episodes on the timeline
+    const appearanceStats = getAppearanceStats(getEntityEpisodes(entity), visibleEpisodes, returnYears);
+
+    // A clickable stat card that pins the episode it refers to
+    const renderStat = (label, value, detail, ep) => (
+      <div
+        key={label}
+        role="button"
+        tabIndex={0}
+        className="bg-gray-50 hover:bg-amber-50 rounded p-2 cursor-pointer transition-colors"
+        title={`#${ep.number} ${ep.title}`}
+        onMouseEnter={() => setHoveredEpisode(ep.idx)}
+        onMouseLeave={() => setHoveredEpisode(null)}
+        onClick={() => setPinnedEpisode(pinnedEpisode === ep.idx ? null : ep.idx)}
+        onKeyDown={(e) => e.key === 'Enter' && setPinnedEpisode(pinnedEpisode === ep.idx ? null : ep.idx)}
+      >
+        <div className="text-gray-400">{label}</div>
+        <div className="font-medium text-amber-700">{value}</div>
+        <div className="text-gray-400 truncate">{detail}</div>
+      </div>
+    );
+
     // Build list of related entities
     const related = [];
-    if (entityType === 'guest' && guestCharacters[primaryEntity]) {
+    if (focused.type === 'guest' && guestCharacters[focused.name]) {
       // For guests: show characters they play
-      guestCharacters[primaryEntity].forEach(c => {
+      guestCharacters[focused.name].forEach(c => {
         const charData = characterMap.get(c);
         if (charData) {
           related.push({ name: c, count: getEntityCount(charData), type: 'character' });
         }
       });
-    } else if (entityType === 'character' && entity.playedBy) {
-      // For characters: show the guest who plays them
-      const guestData = guestMap.get(entity.playedBy);
-      if (guestData) {
-        related.push({
-          name: entity.playedBy,
-          count: getEntityCount(guestData),
-          type: 'guest'
-        });
-      }
+    } else if (focused.type === 'character') {
+      // For characters: show every guest who plays them, counting the
+      // episodes where they played this character
+      entity.performers.forEach(p => {
+        if (guestMap.has(p.name)) {
+          related.push({ name: p.name, count: getEntityCount(p), type: 'guest' });
+        }
+      });
     }
     related.sort((a, b) => b.count - a.count);
 
+    // Guests can have dozens of characters, so only show the top few;
+    // characters list all of their performers
+    const shownRelated = focused.type === 'guest' ? related.slice(0, 6) : related;
+
     return (
       <div className="space-y-3">
         {/* Header with name, count, and image placeholder */}
         <div className="flex gap-3">
           {/* Image thumbnail or placeholder */}
           <a
-            href={getWikiUrl(primaryEntity)}
+            href={getWikiUrl(focused.name)}
             target="_blank"
             rel="noopener noreferrer"
             className="shrink-0 hover:opacity-80 transition-opacity"
           >
-            {entity.imageUrl ? (
-              <img
-                src={entity.imageUrl}
-                alt={entity.name}
-                className="w-16 h-16 rounded-lg object-cover bg-gray-100"
-                loading="lazy"
-                referrerPolicy="no-referrer"
-                crossOrigin="anonymous"
-                onError={(e) => {
-                  // Replace failed image with placeholder
-                  e.target.style.display = 'none';
-                  e.target.nextElementSibling.style.display = 'flex';
-                }}
-              />
-            ) : null}
-            <div
-              className="w-16 h-16 rounded-lg bg-gray-100 flex items-center justify-center"
-              style={{ display: entity.imageUrl ? 'none' : 'flex' }}
-            >
-              <svg className="w-8 h-8 text-gray-300" fill="currentColor" viewBox="0 0 20 20">
-                <path fillRule="evenodd" d="M10 9a3 3 0 100-6 3 3 0 000 6zm-7 9a7 7 0 1114 0H3z" clipRule="evenodd" />
-              </svg>
-            </div>
+            <FallbackImage src={entity.imageUrl} alt={entity.name} className="w-16 h-16 rounded-lg object-cover bg-gray-100">
+              <div className="w-16 h-16 rounded-lg bg-gray-100 flex items-center justify-center">
+                <svg className="w-8 h-8 text-gray-300" fill="currentColor" viewBox="0 0 20 20">
+                  <path fillRule="evenodd" d="M10 9a3 3 0 100-6 3 3 0 000 6zm-7 9a7 7 0 1114 0H3z" clipRule="evenodd" />
+                </svg>
+              </div>
+            </FallbackImage>
           </a>
           <div className="flex-1 min-w-0">
             <a
-              href={getWikiUrl(primaryEntity)}
+              href={getWikiUrl(focused.name)}
               target="_blank"
               rel="noopener noreferrer"
               className="hover:text-blue-600 transition-colors"
             >
-              <h3 className="font-bold truncate">{primaryEntity}</h3>
+              <h3 className="font-bold truncate">{focused.name}</h3>
             </a>
+            {entity.aliases.length > 0 && (
+              <div className="text-xs text-gray-400 truncate" title={entity.aliases.join(', ')}>
+                Also known as {entity.aliases.join(', ')}
+              </div>
+            )}
             <div className="text-sm text-gray-500">
               {getEntityCount(entity)} appearances
             </div>
+            {/* All-time appearances by episode type, when they're not all regular episodes */}
+            {entity.typeCounts.regular < entity.episodes.length && (
+              <div className="text-xs text-gray-400">
+                {EPISODE_TYPES.filter(t => entity.typeCounts[t.k] > 0).map(t => `${entity.typeCounts[t.k]} ${t.l}`).join(' • ')}
+              </div>
+            )}
           </div>
         </div>
 
@@ -1164,11 +4084,86 @@ function App() {
           </div>
         </div>
 
+        {/* Streaks, gaps and tenure - click a stat to pin its episode */}
+        {appearanceStats && (
+          <div className="grid grid-cols-2 gap-2 text-xs">
+            {renderStat(
+              'Longest run',
+              `${appearanceStats.longestRun.length} in a row`,
+              appearanceStats.longestRun.length > 1
+                ? `from #${appearanceStats.longestRun.first.number} to #${appearanceStats.longestRun.last.number}`
+                : `#${appearanceStats.longestRun.first.number}`,
+              appearanceStats.longestRun.first
+            )}
+            {appearanceStats.longestGap && renderStat(
+              'Longest absence',
+              `${appearanceStats.longestGap.episodes} eps (${formatDuration(appearanceStats.longestGap.days)})`,
+              `back in #${appearanceStats.longestGap.comeback.number} ${appearanceStats.longestGap.comeback.title}`,
+              appearanceStats.longestGap.comeback
+            )}
+            {appearanceStats.medianGap && renderStat(
+              'Median gap',
+              formatDuration(appearanceStats.medianGap.days),
+              `${appearanceStats.medianGap.episodes} eps between appearances`,
+              appearanceStats.medianGap.ep
+            )}
+            {renderStat(
+              'Active years',
+              `${appearanceStats.activeYears.count} of ${appearanceStats.activeYears.span}`,
+              `${appearanceStats.activeYears.firstYear}–${appearanceStats.activeYears.lastYear}`,
+              episodes[getEntityEpisodes(entity)[0]]
+            )}
+            {renderStat(
+              'Share while active',
+              `${Math.round((appearanceStats.activeShare.appearances / appearanceStats.activeShare.total) * 100)}%`,
+              `${appearanceStats.activeShare.appearances} of ${appearanceStats.activeShare.total} eps`,
+              episodes[getEntityEpisodes(entity)[0]]
+            )}
+          </div>
+        )}
+
+        {/* Returns after a long absence */}
+        {appearanceStats && (
+          <div className="text-xs">
+            <div className="flex items-center gap-1 text-gray-400 mb-1">
+              <span>Returns after</span>
+              <select
+                value={returnYears}
+                onChange={(e) => setReturnYears(Number(e.target.value))}
+                className="border border-gray-200 rounded px-1 bg-white cursor-pointer focus:outline-none focus:ring-1 focus:ring-blue-500"
+              >
+                {[1, 2, 3, 5].map(y => (
+                  <option key={y} value={y}>{y}</option>
+                ))}
+              </select>
+              <span>+ years</span>
+            </div>
+            {appearanceStats.returns.length === 0 ? (
+              <div className="text-gray-300">None</div>
+            ) : (
+              <div className="space-y-0.5">
+                {appearanceStats.returns.map(({ ep, days }) => (
+                  <button
+                    key={ep.idx}
+                    onClick={() => setPinnedEpisode(pinnedEpisode === ep.idx ? null : ep.idx)}
+                    onMouseEnter={() => setHoveredEpisode(ep.idx)}
+                    onMouseLeave={() => setHoveredEpisode(null)}
+                    className="w-full flex justify-between gap-2 text-left rounded px-1 hover:bg-amber-50"
+                  >
+                    <span className="truncate text-amber-700">#{ep.number} {ep.title}</span>
+                    <span className="shrink-0 text-gray-400">after {formatDuration(days)}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Year-by-year bar chart */}
         <div>
           <div className="text-xs text-gray-400 mb-1">By year</div>
           <div className="flex items-end gap-px h-8">
-            {years.map(year => {
+            {range.years.map(year => {
               const count = yearCounts.get(year) || 0;
               // Height as percentage, minimum 15% if there's at least one appearance
               const height = count ? Math.max(15, (count / maxYearCount) * 100) : 0;
@@ -1176,8 +4171,8 @@ function App() {
                 <div key={year} className="flex-1 flex flex-col justify-end h-full">
                   {count > 0 && (
                     <div
-                      className="w-full bg-amber-400 rounded-t"
-                      style={{ height: `${height}%` }}
+                      className="w-full rounded-t"
+                      style={{ height: `${height}%`, backgroundColor: focused.color }}
                       title={`${year}: ${count}`}
                     />
                   )}
@@ -1186,8 +4181,8 @@ function App() {
             })}
           </div>
           <div className="flex justify-between text-xs text-gray-400 mt-1">
-            <span>{years[0]}</span>
-            <span>{years[years.length - 1]}</span>
+            <span>{range.years[0]}</span>
+            <span>{range.years[range.years.length - 1]}</span>
           </div>
         </div>
 
@@ -1195,24 +4190,22 @@ function App() {
         {related.length > 0 && (
           <div>
             <div className="text-xs text-gray-400 mb-1">
-              {entityType === 'guest' ? 'Known characters' : 'Played by'}
+              {focused.type === 'guest' ? 'Known characters' : 'Played by'}
             </div>
             <div
               className="flex flex-wrap gap-1"
               onMouseLeave={() => setHoveredEntity(null)}
             >
-              {related.slice(0, 6).map(r => (
+              {shownRelated.map(r => (
                 <button
                   key={r.name}
-                  onClick={() => {
-                    setEntityType(r.type);
-                    setSecondaryEntity(null);
-                    setPrimaryEntity(r.name);
-                  }}
+                  onClick={() => selectOnly(r.name, r.type)}
                   onMouseEnter={() => setHoveredEntity({ name: r.name, type: r.type })}
                   className="px-2 py-0.5 bg-gray-100 hover:bg-gray-200 rounded text-xs"
+                  title={`${r.count} episodes`}
                 >
                   {r.name}
+                  {r.type === 'guest' && <span className="text-gray-400 ml-1">{r.count}</span>}
                 </button>
               ))}
             </div>
@@ -1224,14 +4217,50 @@ function App() {
 
   // Memoize EntityDetail output to prevent re-renders on hover
   const memoizedEntityDetail = useMemo(() => <EntityDetail />, [
-    primaryEntity,
-    entityType,
+    selectedEntities,
     pinnedEpisode,
     getEntityCount,
-    getEntityEpisodes
+    getEntityEpisodes,
+    visibleEpisodes,
+    returnYears
   ]);
 
 
+  // ========================================================================
+  // BOTTOM SHEET (COMPACT SCREENS)
+  // ========================================================================
+  /**
+   * On phones the episode summary and entity detail don't fit beside the
+   * timeline, so whichever was opened last slides up from the bottom:
+   * previewing or pinning an episode opens the summary, selecting one more
+   * guest or character opens the detail.
+   */
+  const selectionSizeRef = React.useRef(selectedEntities.length);
+
+  useEffect(() => {
+    if (isCompact && (pinnedEpisode !== null || hoveredEpisode !== null)) setSheet('episode');
+  }, [isCompact, pinnedEpisode, hoveredEpisode]);
+
+  useEffect(() => {
+    if (isCompact && selectedEntities.length > selectionSizeRef.current) setSheet('entity');
+    selectionSizeRef.current = selectedEntities.length;
+  }, [isCompact, selectedEntities]);
+
+  // Closing the episode sheet also drops the pin and preview
+  const closeSheet = () => {
+    if (sheet === 'episode') {
+      setPinnedEpisode(null);
+      setHoveredEpisode(null);
+    }
+    setSheet(null);
+  };
+
+  const sheetShown = isCompact && (
+    (sheet === 'episode' && (pinnedEpisode !== null || hoveredEpisode !== null)) ||
+    (sheet === 'entity' && selectedEntities.length > 0)
+  );
+
+
   // ========================================================================
   // CLICK OUTSIDE HANDLER
   // ========================================================================
@@ -1256,8 +4285,8 @@ function App() {
     const interactiveEl = e.target.closest('button, input, select, a, [role="button"]');
     if (interactiveEl) return;
 
-    // Check if click was inside the sidebar (entity list, detail panel)
-    const sidebar = e.target.closest('[data-sidebar]');
+    // Check if click was inside the sidebar (entity list, detail panel) or the bottom sheet
+    const sidebar = e.target.closest('[data-sidebar], [data-bottom-sheet]');
     if (sidebar) return;
 
     // Unpin the episode
@@ -1272,68 +4301,430 @@ function App() {
    * - Left: Timeline (spans 2 columns on large screens)
    * - Right: Entity browser and detail panel
    * - Bottom: Legend
+   * On compact screens the sidebar goes below the timeline, and the episode
+   * summary and entity detail move into a bottom sheet.
    */
   return (
-    <div className="min-h-screen bg-gray-50 p-3">
+    <div className={`min-h-screen bg-gray-50 p-3 ${sheetShown ? 'pb-[60vh]' : ''}`}>
       <div className="max-w-screen-2xl mx-auto">
         {/* Header */}
-        <div className="mb-4">
-          <h1 className="text-xl font-bold text-gray-900">Comedy Bang Bang Universe</h1>
-          <p className="text-gray-500 text-xs">
-            {episodes.length} episodes • {guestMap.size} guests • {characterMap.size} characters • {years[0]}–{years[years.length-1]}
-          </p>
+        <div className="mb-4 flex items-start justify-between">
+          <div>
+            <h1 className="text-xl font-bold text-gray-900">Comedy Bang Bang Universe</h1>
+            <p className="text-gray-500 text-xs">
+              {rangeStats.episodes} episodes • {rangeStats.guests} guests • {rangeStats.characters} characters{range.yearSpan && ` • ${range.yearSpan}`}
+              {!range.isFull && <span> (of {episodes.length} episodes)</span>}
+            </p>
+          </div>
+          {/* What's new button - opens the data changelog, with a dot until it's dismissed */}
+          {changelog.length > 0 && (
+            <button
+              onClick={() => setWhatsNewOpen(!whatsNewOpen)}
+              className={`relative px-2 py-1 rounded text-xs ${
+                whatsNewOpen ? 'bg-gray-900 text-white' : 'bg-white text-gray-600 shadow-sm hover:bg-gray-100'
+              }`}
+            >
+              What's new
+              {unseenChanges.length > 0 && (
+                <span className="absolute -top-1 -right-1 w-2 h-2 rounded-full bg-red-500" />
+              )}
+            </button>
+          )}
         </div>
 
+        {whatsNewOpen && <WhatsNewPanel />}
+
         {/* Main flex layout */}
-        <div className="flex gap-4">
+        <div className="flex flex-col md:flex-row gap-4">
           {/* Timeline panel - expands to fill space */}
-          <div ref={timelineContainerRef} className="flex-1 min-w-[600px] bg-white rounded-xl p-4 shadow-sm flex flex-col">
-            <div className="mb-3 flex items-start justify-between">
+          <div ref={timelineContainerRef} className="flex-1 min-w-0 bg-white rounded-xl p-4 shadow-sm flex flex-col">
+            <div className="mb-3 flex flex-wrap items-start justify-between gap-2">
               <div>
-                <h2 className="font-semibold text-gray-800 text-sm">Episode Timeline</h2>
+                <h2 className="font-semibold text-gray-800 text-sm">
+                  {view === 'network' && 'Guest Network'}
+                  {view === 'matrix' && `Top ${entityType === 'guest' ? 'Guest' : 'Character'} Pairs`}
+                  {view === 'records' && 'Records'}
+                  {view === 'trends' && 'Trends by Year'}
+                  {view === 'cohorts' && `${entityType === 'guest' ? 'Guest' : 'Character'} Cohorts`}
+                  {view === 'timeline' && 'Episode Timeline'}
+                </h2>
                 <p className="text-xs text-gray-400">
-                  Each cell = one episode. Select a guest or character to highlight.
+                  {view === 'network' && 'Guests who shared episodes are linked. Bigger = more appearances, thicker = more shared episodes.'}
+                  {view === 'matrix' && 'Each cell = episodes a pair shared. Click a cell to see the pair on the timeline.'}
+                  {view === 'records' && 'Leaderboards for the episodes in range. Click an episode to pin it, a name to select it, a year to zoom in.'}
+                  {view === 'trends' && 'How the show changed from year to year. Years outside the date range are faded. Click a year to zoom the timeline to it.'}
+                  {view === 'cohorts' && 'Rows = debut year, columns = years later. Each cell = share of the debut class back that year. Click a cell to list them.'}
+                  {view === 'timeline' && (isCompact
+                    ? 'Each cell = one episode. Select guests or characters to highlight. Tap a cell to preview it, long-press to pin, pinch to zoom.'
+                    : 'Each cell = one episode. Select guests or characters to highlight. Keyboard: arrows browse, [ and ] jump between the selected entity\'s episodes.')}
+                  {showsTimeline && layout === 'number' && numberOrderIssues.size > 0 && ' Marked cells came out before the episode numbered just below them.'}
                 </p>
               </div>
-              <div className="flex items-center gap-3">
+              <div className="flex flex-wrap items-center justify-end gap-3">
+                {/* View switch */}
+                <div className="flex gap-0.5 bg-gray-100 rounded p-0.5 text-xs">
+                  {VIEWS.map(v => (
+                    <button
+                      key={v.k}
+                      onClick={() => setView(v.k)}
+                      className={`px-2 py-0.5 rounded ${
+                        view === v.k ? 'bg-white shadow-sm text-gray-800 font-medium' : 'text-gray-500 hover:text-gray-700'
+                      }`}
+                    >
+                      {v.l}
+                    </button>
+                  ))}
+                </div>
+                {/* Network filter: minimum shared episodes */}
+                {view === 'network' && (
+                  <label className="flex items-center gap-1 text-xs text-gray-600">
+                    <span>Min. shared:</span>
+                    <select
+                      value={networkMinWeight}
+                      onChange={(e) => setNetworkMinWeight(Number(e.target.value))}
+                      className="text-xs border border-gray-300 rounded px-1 py-1 bg-white cursor-pointer focus:outline-none focus:ring-1 focus:ring-blue-500"
+                    >
+                      {[1, 2, 3, 4, 5, 7, 10].map(w => (
+                        <option key={w} value={w}>{w}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                {/* Matrix options: number of entities and row order */}
+                {view === 'matrix' && (
+                  <div className="flex items-center gap-2 text-xs text-gray-600">
+                    <label className="flex items-center gap-1">
+                      <span>Top</span>
+                      <select
+                        value={matrixSize}
+                        onChange={(e) => setMatrixSize(Number(e.target.value))}
+                        className="text-xs border border-gray-300 rounded px-1 py-1 bg-white cursor-pointer focus:outline-none focus:ring-1 focus:ring-blue-500"
+                      >
+                        {[10, 20, 30, 40, 50].map(size => (
+                          <option key={size} value={size}>{size}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <div className="flex gap-0.5 bg-gray-100 rounded p-0.5">
+                      {MATRIX_ORDERS.map(o => (
+                        <button
+                          key={o.k}
+                          onClick={() => setMatrixOrder(o.k)}
+                          className={`px-2 py-0.5 rounded ${
+                            matrixOrder === o.k ? 'bg-white shadow-sm text-gray-800 font-medium' : 'text-gray-500 hover:text-gray-700'
+                          }`}
+                        >
+                          {o.l}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                {/* Timeline layout switch */}
+                {showsTimeline && (
+                  <div className="flex gap-0.5 bg-gray-100 rounded p-0.5 text-xs">
+                    {LAYOUTS.map(l => (
+                      <button
+                        key={l.k}
+                        onClick={() => setLayout(l.k)}
+                        className={`px-2 py-0.5 rounded ${
+                          layout === l.k ? 'bg-white shadow-sm text-gray-800 font-medium' : 'text-gray-500 hover:text-gray-700'
+                        }`}
+                      >
+                        {l.l}
+                      </button>
+                    ))}
+                  </div>
+                )}
                 {/* Color mode dropdown */}
-                <label className="flex items-center gap-2 text-xs text-gray-600">
-                  <span>Color by:</span>
-                  <select
-                    value={colorMode}
-                    onChange={(e) => setColorMode(e.target.value)}
-                    className="text-xs border border-gray-300 rounded px-2 py-1 bg-white cursor-pointer focus:outline-none focus:ring-1 focus:ring-blue-500"
-                  >
-                    <option value="guests">Number of Guests</option>
-                    <option value="characters">Number of Characs</option>
-                    <option value="chars-per-guest">Characters per Guest</option>
-                    <option value="newest-char-age">Debut/Eps of Newest Character</option>
-                    <option value="oldest-char-age">Debut/Eps of Oldest Character</option>
-                  </select>
-                </label>
-                {/* Filter checkbox for live episodes */}
-                <label className="flex items-center gap-2 text-xs text-gray-600 cursor-pointer">
-                  <input
-                    type="checkbox"
-                    checked={includeLiveEps}
-                    onChange={(e) => setIncludeLiveEps(e.target.checked)}
-                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-                  />
-                  <span className="flex items-center gap-1">
-                    Include live eps
-                    {includeLiveEps && (
-                      <span
-                        className="inline-block w-2.5 h-2.5 rounded-sm"
-                        style={{ backgroundColor: EPISODE_LIVE_COLOR }}
+                {showsTimeline && (
+                  <label className="flex items-center gap-2 text-xs text-gray-600">
+                    <span>Color by:</span>
+                    <select
+                      value={colorMode}
+                      onChange={(e) => setColorMode(e.target.value)}
+                      className="text-xs border border-gray-300 rounded px-2 py-1 bg-white cursor-pointer focus:outline-none focus:ring-1 focus:ring-blue-500"
+                    >
+                      <option value="guests">Number of Guests</option>
+                      <option value="characters">Number of Characs</option>
+                      <option value="chars-per-guest">Characters per Guest</option>
+                      <option value="newest-char-age">Debut/Eps of Newest Character</option>
+                      <option value="oldest-char-age">Debut/Eps of Oldest Character</option>
+                      <option value="newest-guest-age">Debut/Eps of Newest Guest</option>
+                      <option value="avg-guest-age">Average Guest Tenure</option>
+                      <option value="first-timers">First-timers vs Veterans</option>
+                    </select>
+                  </label>
+                )}
+                {/* Export button - opens the export panel */}
+                <button
+                  onClick={() => setExportOpen(!exportOpen)}
+                  className={`px-2 py-1 rounded text-xs ${
+                    exportOpen ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                  }`}
+                >
+                  Export
+                </button>
+              </div>
+            </div>
+
+            {/* Export panel - image of the timeline as shown, and the data tables */}
+            {exportOpen && (
+              <div className="mb-2 space-y-2 text-xs text-gray-600 bg-gray-50 rounded-lg p-2">
+                {showsTimeline && (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="w-10 text-gray-400">Image</span>
+                    <label className="flex items-center gap-1 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={exportShowTitle}
+                        onChange={(e) => setExportShowTitle(e.target.checked)}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
                       />
-                    )}
-                  </span>
-                </label>
+                      <span>Title</span>
+                    </label>
+                    <input
+                      type="text"
+                      value={exportTitle}
+                      placeholder={getDefaultExportTitle()}
+                      disabled={!exportShowTitle}
+                      onChange={(e) => setExportTitle(e.target.value)}
+                      className="flex-1 min-w-[200px] px-2 py-1 border rounded focus:outline-none focus:ring-1 focus:ring-blue-500 disabled:opacity-50"
+                    />
+                    {['svg', 'png'].map(format => (
+                      <button
+                        key={format}
+                        onClick={() => exportTimeline(format)}
+                        className="px-2 py-1 rounded bg-gray-900 text-white hover:bg-gray-700"
+                      >
+                        {format.toUpperCase()}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="w-10 text-gray-400">Data</span>
+                  {[
+                    { k: 'episodes', l: 'Episodes' },
+                    { k: 'entities', l: entityType === 'guest' ? 'Guest list' : 'Character list' },
+                    ...(selectedEntities.length > 0 ? [{ k: 'matches', l: 'Selection episodes' }] : [])
+                  ].map(t => (
+                    <span key={t.k} className="flex items-center gap-1 bg-white border border-gray-200 rounded px-1.5 py-0.5">
+                      <span>{t.l}</span>
+                      {['csv', 'json'].map(format => (
+                        <button
+                          key={format}
+                          onClick={() => exportTable(t.k, format)}
+                          className="px-1 rounded text-blue-600 hover:text-blue-800 hover:bg-blue-50"
+                        >
+                          {format.toUpperCase()}
+                        </button>
+                      ))}
+                    </span>
+                  ))}
+                </div>
               </div>
+            )}
+
+            {/* Date range - drag across the strip, or type the bounds */}
+            <div className="mb-2 flex flex-wrap items-center gap-2 text-xs text-gray-600">
+              <DateRangeBrush
+                episodes={brushEpisodes}
+                from={rangeFrom}
+                to={rangeTo}
+                onChange={(from, to) => {
+                  setRangeFrom(from);
+                  setRangeTo(to);
+                }}
+              />
+              <input
+                type="date"
+                value={rangeFrom || ''}
+                onChange={(e) => setRangeFrom(isRangeDate(e.target.value) ? e.target.value : null)}
+                className="text-xs border border-gray-300 rounded px-1 py-0.5 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                title="From"
+              />
+              <span>–</span>
+              <input
+                type="date"
+                value={rangeTo || ''}
+                onChange={(e) => setRangeTo(isRangeDate(e.target.value) ? e.target.value : null)}
+                className="text-xs border border-gray-300 rounded px-1 py-0.5 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                title="To"
+              />
+              {(rangeFrom || rangeTo) && (
+                <button
+                  onClick={() => {
+                    setRangeFrom(null);
+                    setRangeTo(null);
+                  }}
+                  className="text-gray-400 hover:text-gray-700"
+                >
+                  All time
+                </button>
+              )}
+              {timelineZoom > 1 && showsTimeline && (
+                <button onClick={() => setTimelineZoom(1)} className="text-gray-400 hover:text-gray-700">
+                  Zoom {timelineZoom.toFixed(1)}× · Reset
+                </button>
+              )}
+              {/* Go to episode # - pins it */}
+              <form
+                className="ml-auto flex items-center gap-1"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  jumpToEpisode();
+                }}
+              >
+                <label htmlFor="jump-to-episode" className="text-gray-400">Go to #</label>
+                <input
+                  id="jump-to-episode"
+                  type="text"
+                  value={jumpQuery}
+                  placeholder="599, 852.5, BO2013.2"
+                  onChange={(e) => {
+                    setJumpQuery(e.target.value);
+                    setJumpMissed(false);
+                  }}
+                  className={`w-28 text-xs border rounded px-1 py-0.5 focus:outline-none focus:ring-1 focus:ring-blue-500 ${
+                    jumpMissed ? 'border-red-400' : 'border-gray-300'
+                  }`}
+                  aria-invalid={jumpMissed}
+                  title={jumpMissed ? `No episode #${jumpQuery.replace(/^#\s*/, '')}` : 'Episode number'}
+                />
+              </form>
+            </div>
+
+            {/* Episode type filters - one toggle per type, with its color and count in the date range */}
+            <div className="mb-2 flex flex-wrap items-center gap-1 text-xs text-gray-600">
+              <span className="text-gray-400 mr-1">Episodes:</span>
+              {EPISODE_TYPES.map(t => {
+                const shown = shownTypeSet.has(t.k);
+                return (
+                  <button
+                    key={t.k}
+                    onClick={() => toggleEpisodeType(t.k)}
+                    aria-pressed={shown}
+                    className={`flex items-center gap-1 px-1.5 py-0.5 rounded border ${
+                      shown ? 'border-gray-300 bg-white text-gray-700' : 'border-transparent text-gray-400 hover:text-gray-600'
+                    }`}
+                  >
+                    <span
+                      className={`inline-block w-2.5 h-2.5 rounded-sm ${shown ? '' : 'opacity-40'}`}
+                      style={{ backgroundColor: EPISODE_TYPE_COLORS[t.k] || EPISODE_DEFAULT_COLOR }}
+                    />
+                    <span>{t.l}</span>
+                    <span className="text-gray-400">{typeCounts[t.k]}</span>
+                  </button>
+                );
+              })}
             </div>
+
+            {/* Selection bar - match mode and one chip per selected entity */}
+            {selectedEntities.length > 0 && (
+              <div className="mb-2 flex flex-wrap items-center gap-1.5 text-xs">
+                <div className="flex gap-0.5 bg-gray-100 rounded p-0.5">
+                  {MATCH_MODES.map(m => (
+                    <button
+                      key={m.k}
+                      onClick={() => setMatchMode(m.k)}
+                      className={`px-2 py-0.5 rounded ${
+                        matchMode === m.k ? 'bg-white shadow-sm text-gray-800 font-medium' : 'text-gray-500 hover:text-gray-700'
+                      }`}
+                    >
+                      {m.l}
+                    </button>
+                  ))}
+                </div>
+                {selectedEntities.map(s => (
+                  <span
+                    key={`${s.type}:${s.name}`}
+                    className="flex items-center gap-1 bg-gray-50 border border-gray-200 rounded-full pl-1.5 pr-1 py-0.5"
+                  >
+                    <span className="inline-block w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: s.color }} />
+                    <button
+                      onClick={() => focusEntity(s)}
+                      className="text-gray-700 hover:text-gray-900"
+                      title={`Show ${s.name} in detail`}
+                    >
+                      {s.name}
+                    </button>
+                    <button
+                      onClick={() => handleEntityClick(s.name, s.type)}
+                      className="text-gray-400 hover:text-gray-700 px-0.5"
+                      title={`Remove ${s.name}`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+                <button
+                  onClick={() => setSelectedEntities([])}
+                  className="text-gray-400 hover:text-gray-700 ml-1"
+                >
+                  Clear
+                </button>
+              </div>
+            )}
             <div className="flex-1 min-h-0">
-              <Timeline />
-              {memoizedEpisodeSummary}
+              {view === 'network' ? (
+                <>
+                  <NetworkView />
+                  {network && network.nodes.length > 0 && (
+                    <div className="text-xs text-gray-400 text-center">
+                      {network.nodes.length} guests, {network.links.length} links
+                    </div>
+                  )}
+                </>
+              ) : view === 'records' ? (
+                <>
+                  <RecordsView />
+                  {!isCompact && memoizedEpisodeSummary}
+                </>
+              ) : view === 'trends' ? (
+                <TrendsView />
+              ) : view === 'cohorts' ? (
+                <CohortsView />
+              ) : (
+                <>
+                  {view === 'matrix' && <MatrixView />}
+                  {/* Scrolls sideways when the timeline is wider than the panel (phones, zoomed in) */}
+                  <div
+                    ref={timelineScrollRef}
+                    className="overflow-x-auto -m-1 p-1 touch-pan-x touch-pan-y select-none [-webkit-touch-callout:none]"
+                    {...timelineTouch}
+                  >
+                    <div
+                      className="relative shrink-0"
+                      style={{ width: timelineLayout.width, height: timelineLayout.height }}
+                      onMouseLeave={clearTimelineHover}
+                    >
+                      <TimelineGrid
+                        timelineLayout={timelineLayout}
+                        fills={episodeFills}
+                        cellStore={timelineCellStore}
+                        newEpisodes={dataNews.episodes}
+                        onHover={setHoveredEpisodeDebounced}
+                        onPin={toggleTimelinePin}
+                        onFocusCell={setFocusedEpisode}
+                        onKeyDown={onTimelineKeyDown}
+                        onYearClick={zoomToYear}
+                      />
+                      <TimelineOverlay
+                        timelineLayout={timelineLayout}
+                        highlights={timelineHighlights}
+                        pinnedEpisode={pinnedEpisode}
+                        newEpisodes={dataNews.episodes}
+                        flaggedEpisodes={flaggedEpisodes}
+                        counts={matchCounts}
+                        onHover={setHoveredEpisodeDebounced}
+                        onPin={toggleTimelinePin}
+                      />
+                    </div>
+                  </div>
+                  {!isCompact && memoizedEpisodeSummary}
+                </>
+              )}
             </div>
 
             {/* Credit text - always visible at bottom */}
@@ -1360,7 +4751,7 @@ function App() {
           </div>
 
           {/* Right sidebar - fixed width */}
-          <div data-sidebar className="w-80 shrink-0 flex flex-col gap-3 max-h-[calc(100vh-120px)]">
+          <div data-sidebar className="w-full md:w-80 shrink-0 flex flex-col gap-3 md:max-h-[calc(100vh-120px)]">
             {/* Entity browser */}
             <div className="bg-white rounded-xl p-3 shadow-sm flex-shrink-0">
               {/* Guest/Character toggle */}
@@ -1370,8 +4761,6 @@ function App() {
                     key={t}
                     onClick={() => {
                       setEntityType(t);
-                      setPrimaryEntity(null);
-                      setSecondaryEntity(null);
                       setSearchQuery('');
                     }}
                     className={`flex-1 px-2 py-1.5 rounded-lg text-xs font-medium ${
@@ -1423,51 +4812,69 @@ function App() {
               >
                 <EntityListItems
                   entities={displayedEntities}
-                  primary={primaryEntity}
-                  secondary={secondaryEntity}
+                  selection={selectedEntities}
                   type={entityType}
+                  newEntities={dataNews.entities}
                   onSelect={handleEntityClick}
                   onHover={setHoveredEntityDebounced}
                 />
               </div>
             </div>
 
-            {/* Detail panel - memoized to prevent re-renders on hover */}
-            <div className="bg-white rounded-xl p-3 shadow-sm flex-1 overflow-y-auto min-h-0">
-              {memoizedEntityDetail}
-            </div>
+            {/* Detail panel - memoized to prevent re-renders on hover (in the bottom sheet on compact screens) */}
+            {!isCompact && (
+              <div className="bg-white rounded-xl p-3 shadow-sm flex-1 overflow-y-auto min-h-0">
+                {memoizedEntityDetail}
+              </div>
+            )}
           </div>
         </div>
 
         {/* Legend */}
         <div className="mt-4 bg-white rounded-lg p-3 shadow-sm">
-          <div className="flex justify-between items-center text-xs">
+          <div className="flex flex-wrap justify-between items-center gap-2 text-xs">
             {/* Color scale legend - changes based on selected mode */}
             <div className="flex items-center gap-1">
               <div className="flex gap-0.5">
-                {(colorMode === 'newest-char-age' || colorMode === 'oldest-char-age') && (
-                  <div
-                    className="w-2.5 h-2.5 rounded-sm"
-                    style={{ backgroundColor: '#AF7595' }}
-                  />
-                )}
-                {[0, 0.5, 1].map(ratio => (
+                {getColorScaleSwatches(colorMode).map(color => (
                   <div
-                    key={ratio}
+                    key={color}
                     className="w-2.5 h-2.5 rounded-sm"
-                    style={{ backgroundColor: `hsl(210, 50%, ${85 - ratio * 40}%)` }}
+                    style={{ backgroundColor: color }}
                   />
                 ))}
               </div>
               <span className="text-gray-500">
-                {colorMode === 'characters' && 'Fewer → More characters'}
-                {colorMode === 'chars-per-guest' && 'Fewer → More chars/guest'}
-                {colorMode === 'guests' && 'Fewer → More guests'}
-                {colorMode === 'newest-char-age' && 'Debut → Older newest character'}
-                {colorMode === 'oldest-char-age' && 'Debut → Older oldest character'}
+                {COLOR_SCALE_LABELS[colorMode]}
               </span>
             </div>
 
+            {/* Episode type legend - the types shown that have their own color */}
+            <div className="flex items-center gap-2">
+              {EPISODE_TYPES.filter(t => EPISODE_TYPE_COLORS[t.k] && shownTypeSet.has(t.k)).map(t => (
+                <div key={t.k} className="flex items-center gap-1">
+                  <div
+                    className="w-2.5 h-2.5 rounded-sm"
+                    style={{ backgroundColor: EPISODE_TYPE_COLORS[t.k] }}
+                  />
+                  <span className="text-gray-500">{t.l}</span>
+                </div>
+              ))}
+            </div>
+
+            {/* Match legend - only the "all" and "none" modes use a single match color */}
+            {selectedEntities.length > 0 && matchMode !== 'any' && (
+              <div className="flex items-center gap-1">
+                <div
+                  className="w-2.5 h-2.5 rounded-sm"
+                  style={{ backgroundColor: EPISODE_MATCH_COLOR }}
+                />
+                <span className="text-gray-500">
+                  {matchMode === 'all' ? 'Has all selected' : 'Has none selected'}
+                </span>
+              </div>
+            )}
+
             {/* Recency legend */}
             <div className="flex items-center gap-1">
               <span className="text-gray-400">Recency:</span>
@@ -1485,11 +4892,55 @@ function App() {
           </div>
         </div>
       </div>
+
+      {/* Bottom sheet (compact screens) - episode summary or entity detail */}
+      {sheetShown && (
+        <div
+          data-bottom-sheet
+          role="dialog"
+          aria-label={sheet === 'episode' ? 'Episode details' : 'Guest or character details'}
+          className="fixed inset-x-0 bottom-0 z-40 max-h-[60vh] overflow-y-auto bg-white rounded-t-2xl shadow-[0_-4px_16px_rgba(0,0,0,0.15)] px-4 pb-4"
+        >
+          <div className="sticky top-0 z-10 bg-white flex justify-center pt-2 pb-1">
+            <div className="w-10 h-1 rounded-full bg-gray-300" />
+            <button
+              onClick={closeSheet}
+              aria-label="Close"
+              className="absolute right-0 top-1 px-2 text-lg leading-none text-gray-400 hover:text-gray-700"
+            >
+              ×
+            </button>
+          </div>
+          {sheet === 'episode' ? memoizedEpisodeSummary : memoizedEntityDetail}
+        </div>
+      )}
     </div>
   );
 }
 
 
+// ==========================================================================
+// OFFLINE SUPPORT
+// ==========================================================================
+// sw.js caches the app, the data and images so the explorer keeps working
+// without a connection. It's registered per data version, so a new dataset
+// replaces the old caches. Once it's running it's sent the episode
+// thumbnails to download in the background.
+// Service workers need http(s); opening index.html from disk skips this.
+if ('serviceWorker' in navigator && typeof CBB_DATA !== 'undefined') {
+  navigator.serviceWorker
+    .register(`sw.js?v=${encodeURIComponent(CBB_DATA.version || 'dev')}`)
+    .then(() => navigator.serviceWorker.ready)
+    .then(registration => {
+      const urls = CBB_DATA.episodes
+        .map(e => e.i)
+        .filter(url => url && url.startsWith('images/episodes/'));
+      registration.active.postMessage({ type: 'cache-episode-images', urls });
+    })
+    .catch(err => console.info(`Offline support unavailable: ${err.message}`));
+}
+
+
 // ==========================================================================
 // MOUNT THE APP
 // ==========================================================================
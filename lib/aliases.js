@@ -0,0 +1,93 @@
+/**
+ * Comedy Bang Bang Universe - Entity Aliases
+ * ===========================================
+ *
+ * Merges name variants ("Tom Lennon", "Lord Andrew Lloyd Webber") into one
+ * canonical guest or character, using the alias table in data/cbb_aliases.js.
+ *
+ * Loaded by index.html as a plain script (defines global `buildAliasLookup`
+ * and `applyAliases`) and by the Node scripts through require().
+ */
+
+/**
+ * Build variant -> canonical lookups from the alias table.
+ *
+ * @param {Object} [aliases] - Alias table: { guests: { canonical: [variants] }, characters: {...} }
+ * @returns {{ guest: Map<string, string>, character: Map<string, string> }}
+ */
+const buildAliasLookup = (aliases) => {
+  const toLookup = (table) => {
+    const lookup = new Map();
+    Object.entries(table || {}).forEach(([canonical, variants]) => {
+      variants.forEach(v => lookup.set(v, canonical));
+    });
+    return lookup;
+  };
+
+  return {
+    guest: toLookup(aliases && aliases.guests),
+    character: toLookup(aliases && aliases.characters)
+  };
+};
+
+/**
+ * Rewrite every guest and character name in the raw data to its canonical name.
+ * Lists are de-duplicated after renaming (an episode crediting both "Tom Lennon"
+ * and "Thomas Lennon" ends up with one guest). When both a variant and the
+ * canonical name have an image, the canonical one wins.
+ *
+ * @param {Object} raw - The raw CBB_DATA object (not modified)
+ * @param {Object} [aliases] - Alias table (see buildAliasLookup)
+ * @returns {Object} New raw data object with canonical names
+ */
+const applyAliases = (raw, aliases) => {
+  const lookup = buildAliasLookup(aliases);
+  const guest = (name) => lookup.guest.get(name) || name;
+  const character = (name) => lookup.character.get(name) || name;
+  const unique = (names) => [...new Set(names)];
+
+  const renameKeys = (obj, rename) => {
+    const result = {};
+    // Canonical entries first so they win over variants
+    Object.entries(obj || {}).forEach(([name, value]) => {
+      if (rename(name) === name) result[name] = value;
+    });
+    Object.entries(obj || {}).forEach(([name, value]) => {
+      const canonical = rename(name);
+      if (!(canonical in result)) result[canonical] = value;
+    });
+    return result;
+  };
+
+  const guestCharacters = {};
+  Object.entries(raw.guestCharacters || {}).forEach(([name, chars]) => {
+    const canonical = guest(name);
+    guestCharacters[canonical] = unique([...(guestCharacters[canonical] || []), ...chars.map(character)]);
+  });
+
+  return {
+    ...raw,
+    episodes: (raw.episodes || []).map(e => {
+      const renamed = {
+        ...e,
+        g: unique((e.g || []).map(guest)),
+        c: unique((e.c || []).map(character))
+      };
+      if (e.p) {
+        renamed.p = {};
+        Object.entries(e.p).forEach(([name, chars]) => {
+          const canonical = guest(name);
+          renamed.p[canonical] = unique([...(renamed.p[canonical] || []), ...chars.map(character)]);
+        });
+      }
+      return renamed;
+    }),
+    guestCharacters,
+    guestImages: renameKeys(raw.guestImages, guest),
+    characterImages: renameKeys(raw.characterImages, character)
+  };
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { buildAliasLookup, applyAliases };
+}
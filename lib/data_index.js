@@ -0,0 +1,462 @@
+/**
+ * Comedy Bang Bang Universe - Precomputed Data Index
+ * ===================================================
+ *
+ * The work loadData used to do on every page load (merging aliases, sorting
+ * episodes, building the guest and character lookups, working out who played
+ * each character and the color scale maxima) is done once at build time and
+ * stored in the data file as CBB_DATA.index. The browser only hydrates it.
+ *
+ * Index format (version 3). Episode indexes are positions in `order`, i.e.
+ * the app's chronological ep.idx; guest and character IDs are positions in
+ * `guests` and `characters` (in order of first appearance, then people who
+ * are only named in guestCharacters):
+ * - version: DATA_INDEX_VERSION
+ * - dataHash: hashDataContent of the data it was built from, so any edit to
+ *   the episodes, guestCharacters or images makes it stale
+ * - aliases: the alias table the names were merged with
+ * - order: position in CBB_DATA.episodes of each episode, sorted by date
+ *   (episodes with unparseable dates are left out)
+ * - types: episode type of each episode, as a position in EPISODE_TYPES
+ * - episodes: per episode { g: guest IDs, c: character IDs,
+ *   p: performer guest IDs for each of c (empty when unknown) }
+ * - guests: { n: name, e: episode indexes, c: character IDs they play, i: image URL }
+ * - characters: { n: name, e: episode indexes, p: [[guest ID, episode indexes]]
+ *   for every known performer, i: image URL }
+ * - stats: { maxGuests, maxCharacters, maxCharactersPerGuest }
+ *
+ * Year and week aren't stored: they depend on the viewer's time zone.
+ *
+ * Loaded by index.html as a plain script (defines globals `EPISODE_TYPES`,
+ * `getEpisodeType`, `parseEpisodeNumber`, `compareEpisodeNumbers`,
+ * `findNumberOrderIssues`, `hashDataContent`, `buildDataIndex`, `isDataIndexCurrent` and `hydrateData`) and by the Node
+ * scripts through require(). Expects lib/aliases.js to be loaded first in the browser.
+ */
+
+// Bump when the index format changes, so old data files get re-indexed
+const DATA_INDEX_VERSION = 3;
+
+// Kinds of episode, in the order filters and legends list them.
+// `match` recognizes the type in free text (titles, the wiki's infobox).
+const EPISODE_TYPES = [
+  { k: 'regular', l: 'Regular', match: /^regular$/i },
+  { k: 'best-of', l: 'Best Of', match: /\bbest of\b/i },
+  { k: 'live', l: 'Live/tour', match: /\b(live|tour)\b/i },
+  { k: 'bonus', l: 'Bonus/half', match: /\bbonus\b/i },
+  { k: 'special', l: 'Anniversary/holiday', match: /\banniversary\b|\bholiday\b|christmas|thanksgiving|valentine|halloween|\bnew year\b|\bleap (day|year)\b/i }
+];
+
+/**
+ * Classify an episode (see EPISODE_TYPES). An explicit type in the data
+ * (y) wins; otherwise, in order:
+ * 1. Best Of: numbers like "BO2013.1", or "Best of" in the title
+ * 2. Live/tour: numbers like "from the road" or "from 2014 live bundle", or
+ *    "live"/"tour" as a standalone word in the title (not "alive", "olive")
+ * 3. Anniversary/holiday: anniversary shows, holiday spectaculars, leap days...
+ * 4. Bonus/half: numbers with a fraction like "852.5", or any other
+ *    non-numeric number
+ * 5. Regular: everything else
+ *
+ * @param {Object} episode - Raw episode (n, t, y) or processed one (number, title)
+ * @returns {string} Type key
+ */
+const getEpisodeType = (episode) => {
+  if (EPISODE_TYPES.some(type => type.k === episode.y)) return episode.y;
+
+  const num = (episode.number || episode.n || '').trim();
+  const title = episode.title || episode.t || '';
+  const typeMatches = (key, text) => EPISODE_TYPES.find(type => type.k === key).match.test(text);
+
+  if (/^BO\d/i.test(num) || typeMatches('best-of', title)) return 'best-of';
+  if (/^from\b/i.test(num) || typeMatches('live', title)) return 'live';
+  if (typeMatches('special', title)) return 'special';
+  if (num && !/^[0-9]+$/.test(num)) return 'bonus';
+  return 'regular';
+};
+
+/**
+ * Parse an episode number into its parts:
+ * - "560", "852.5": main number and fractional part (0.5)
+ * - "BO2013.3", "BO2009": Best Of year and part (part 1 when there's no part)
+ * - anything else ("from the road", ""): a label, null when empty
+ *
+ * @param {string} number - Episode number as it is in the data
+ * @returns {{ main: number|null, fraction: number, bestOfYear: number|null,
+ *   bestOfPart: number|null, label: string|null }}
+ */
+const parseEpisodeNumber = (number) => {
+  const text = (number || '').trim();
+  const parts = { main: null, fraction: 0, bestOfYear: null, bestOfPart: null, label: null };
+
+  const numbered = text.match(/^(\d+)(?:\.(\d+))?$/);
+  if (numbered) {
+    return { ...parts, main: Number(numbered[1]), fraction: numbered[2] ? Number(`0.${numbered[2]}`) : 0 };
+  }
+  const bestOf = text.match(/^BO(\d{4})(?:\.(\d+))?$/i);
+  if (bestOf) {
+    return { ...parts, bestOfYear: Number(bestOf[1]), bestOfPart: bestOf[2] ? Number(bestOf[2]) : 1 };
+  }
+  return { ...parts, label: text || null };
+};
+
+/**
+ * Compare two parsed episode numbers (from parseEpisodeNumber): numbered
+ * episodes first (852 < 852.5 < 853), then Best Ofs by year and part, then
+ * labelled ones. Returns 0 for ties, so a stable sort of date-ordered
+ * episodes keeps ties (and all the "from the road" episodes) in date order.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+const compareEpisodeNumbers = (a, b) => {
+  const group = (n) => n.main !== null ? 0 : n.bestOfYear !== null ? 1 : 2;
+  if (group(a) !== group(b)) return group(a) - group(b);
+  if (a.main !== null) return (a.main + a.fraction) - (b.main + b.fraction);
+  if (a.bestOfYear !== null) return (a.bestOfYear - b.bestOfYear) || (a.bestOfPart - b.bestOfPart);
+  return 0;
+};
+
+/**
+ * Places where episode number order and release date order disagree: an
+ * episode that came out before the episode numbered just below it. Checked
+ * among numbered episodes, and among the parts of each Best Of.
+ *
+ * @param {Array<{ number: string, date: (Date|string) }>} episodes - In any order
+ * @returns {Array<{ episode: Object, previous: Object }>} `episode` was released
+ *   before `previous`, although its number comes after
+ */
+const findNumberOrderIssues = (episodes) => {
+  const time = (ep) => new Date(ep.date).getTime();
+  const sorted = episodes
+    .map(ep => ({ ep, parts: parseEpisodeNumber(ep.number) }))
+    .filter(({ parts }) => parts.main !== null || parts.bestOfYear !== null)
+    .sort((a, b) => compareEpisodeNumbers(a.parts, b.parts) || time(a.ep) - time(b.ep));
+
+  const issues = [];
+  sorted.forEach(({ ep, parts }, i) => {
+    const previous = sorted[i - 1];
+    if (!previous) return;
+    // Numbered episodes are one sequence, each Best Of year is its own
+    const sameSequence = parts.main !== null
+      ? previous.parts.main !== null
+      : previous.parts.bestOfYear === parts.bestOfYear;
+    if (sameSequence && time(ep) < time(previous.ep)) issues.push({ episode: ep, previous: previous.ep });
+  });
+  return issues;
+};
+
+/**
+ * Short hash of everything in the raw data the index is built from
+ * (32-bit FNV-1a of its JSON). Synchronous, so the browser can check it
+ * before hydrating.
+ *
+ * @param {Object} raw - The raw CBB_DATA object (its index and version are ignored)
+ * @returns {string} 8 hex digits
+ */
+const hashDataContent = (raw) => {
+  const text = JSON.stringify([
+    raw.episodes,
+    raw.guestCharacters || {},
+    raw.guestImages || {},
+    raw.characterImages || {}
+  ]);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Build the precomputed index for the raw data.
+ *
+ * @param {Object} rawData - The raw CBB_DATA object (any existing index is ignored)
+ * @param {Object} [aliases] - Alias table (data/cbb_aliases.js)
+ * @returns {Object} Index (see the format above)
+ */
+const buildDataIndex = (rawData, aliases) => {
+  // applyAliases is a global in the browser; Node has to require it
+  const mergeAliases = typeof applyAliases !== 'undefined' ? applyAliases : require('./aliases').applyAliases;
+  const raw = mergeAliases(rawData, aliases);
+  const guestImages = raw.guestImages || {};
+  const characterImages = raw.characterImages || {};
+
+  // Chronological order, dropping unparseable dates (the sort is stable)
+  const order = raw.episodes
+    .map((e, pos) => ({ pos, time: new Date(e.d).getTime() }))
+    .filter(e => !isNaN(e.time))
+    .sort((a, b) => a.time - b.time)
+    .map(e => e.pos);
+
+  // Name -> ID, creating entries in order of first appearance
+  const guests = [];
+  const characters = [];
+  const guestIds = new Map();
+  const characterIds = new Map();
+  const guestId = (name) => {
+    if (!guestIds.has(name)) {
+      guestIds.set(name, guests.length);
+      guests.push({ n: name, e: [], c: [] });
+    }
+    return guestIds.get(name);
+  };
+  const characterId = (name) => {
+    if (!characterIds.has(name)) {
+      characterIds.set(name, characters.length);
+      characters.push({ n: name, e: [], p: [] });
+    }
+    return characterIds.get(name);
+  };
+
+  const typeKeys = EPISODE_TYPES.map(type => type.k);
+  const types = [];
+  const episodes = order.map((pos, idx) => {
+    const e = raw.episodes[pos];
+    types.push(typeKeys.indexOf(getEpisodeType(e)));
+    const g = (e.g || []).map(guestId);
+    const c = (e.c || []).map(characterId);
+    g.forEach(id => guests[id].e.push(idx));
+    c.forEach(id => characters[id].e.push(idx));
+    return { g, c, credits: e.p || null };
+  });
+
+  // What each guest plays: the guest pages, plus any pairs credited per
+  // episode that the guest pages don't list. playedBy keeps the guests in
+  // that order, which is the order performers are listed in.
+  const playedBy = [];
+  const getPlayed = (guest) => {
+    const id = guestId(guest);
+    if (!playedBy.includes(id)) playedBy.push(id);
+    return guests[id].c;
+  };
+  Object.entries(raw.guestCharacters || {}).forEach(([guest, chars]) => {
+    const played = getPlayed(guest);
+    chars.forEach(char => played.push(characterId(char)));
+  });
+  episodes.forEach(({ credits }) => {
+    Object.entries(credits || {}).forEach(([guest, chars]) => {
+      const played = getPlayed(guest);
+      chars.forEach(char => {
+        const id = characterId(char);
+        if (!played.includes(id)) played.push(id);
+      });
+    });
+  });
+
+  // Every guest who plays each character (impressions and passed-around
+  // characters have several performers)
+  const characterGuests = characters.map(() => []);
+  playedBy.forEach(id => guests[id].c.forEach(charId => characterGuests[charId].push(id)));
+  characters.forEach((char, id) => {
+    char.p = characterGuests[id].map(performer => [performer, []]);
+  });
+
+  // Who played each character in each episode: the episode's own credits
+  // when it has them, otherwise every guest on the episode who is known to
+  // play that character
+  episodes.forEach((ep, idx) => {
+    ep.p = ep.c.map(charId => {
+      const name = characters[charId].n;
+      const credited = ep.credits
+        ? Object.keys(ep.credits).filter(guest => ep.credits[guest].includes(name)).map(guestId)
+        : [];
+      const performers = credited.length > 0
+        ? credited
+        : characterGuests[charId].filter(id => ep.g.includes(id));
+      performers.forEach(id => {
+        const entry = characters[charId].p.find(([performer]) => performer === id);
+        if (entry) entry[1].push(idx);
+      });
+      return performers;
+    });
+    delete ep.credits;
+  });
+
+  guests.forEach(guest => { if (guestImages[guest.n]) guest.i = guestImages[guest.n]; });
+  characters.forEach(char => { if (characterImages[char.n]) char.i = characterImages[char.n]; });
+
+  // Color scale maxima
+  const stats = { maxGuests: 0, maxCharacters: 0, maxCharactersPerGuest: 0 };
+  episodes.forEach(ep => {
+    stats.maxGuests = Math.max(stats.maxGuests, ep.g.length);
+    stats.maxCharacters = Math.max(stats.maxCharacters, ep.c.length);
+    if (ep.g.length > 0) {
+      stats.maxCharactersPerGuest = Math.max(stats.maxCharactersPerGuest, ep.c.length / ep.g.length);
+    }
+  });
+
+  return {
+    version: DATA_INDEX_VERSION,
+    dataHash: hashDataContent(rawData),
+    aliases: aliases || null,
+    order,
+    types,
+    episodes,
+    guests,
+    characters,
+    stats
+  };
+};
+
+/**
+ * Whether the data file's index was built from this data and alias table
+ * with the current format. Editing the data or the aliases by hand leaves
+ * it stale until scripts/build_index.js is run again.
+ *
+ * @param {Object} raw - The raw CBB_DATA object
+ * @param {Object} [aliases] - Alias table
+ * @returns {boolean}
+ */
+const isDataIndexCurrent = (raw, aliases) => {
+  const index = raw.index;
+  return Boolean(index) &&
+    index.version === DATA_INDEX_VERSION &&
+    index.dataHash === hashDataContent(raw) &&
+    JSON.stringify(index.aliases) === JSON.stringify(aliases || null);
+};
+
+/**
+ * Turn the raw data and its index into the app's data: episode objects,
+ * guest/character maps, episodes by year and stats. One pass over the
+ * episodes; everything else comes straight from the index.
+ *
+ * @param {Object} raw - The raw CBB_DATA object (titles, numbers, dates and images)
+ * @param {Object} index - Index from buildDataIndex
+ * @param {Object} [aliases] - Alias table
+ * @returns {Object} Processed data with episodes, maps, and metadata
+ */
+const hydrateData = (raw, index, aliases) => {
+  const lookupAliases = typeof buildAliasLookup !== 'undefined' ? buildAliasLookup : require('./aliases').buildAliasLookup;
+  const guestNames = index.guests.map(g => g.n);
+  const characterNames = index.characters.map(c => c.n);
+
+  /**
+   * Calculate which week of the year a date falls in (0-52).
+   * Used to position episodes in the timeline grid.
+   *
+   * 604800000 = milliseconds in a week (7 * 24 * 60 * 60 * 1000)
+   */
+  const getWeekOfYear = (date) => {
+    const start = new Date(date.getFullYear(), 0, 1);  // Jan 1 of that year
+    const diff = date - start;
+    return Math.floor(diff / 604800000);
+  };
+
+  const episodesByYear = new Map();
+  const typeKeys = EPISODE_TYPES.map(type => type.k);
+
+  const episodes = index.order.map((pos, idx) => {
+    const e = raw.episodes[pos];
+    const { g, c, p } = index.episodes[idx];
+    const date = new Date(e.d);
+    const guests = g.map(id => guestNames[id]);
+    const characters = c.map(id => characterNames[id]);
+
+    // ep.performers: character name -> array of guest names (empty if unknown)
+    const performers = {};
+    characters.forEach((char, i) => { performers[char] = p[i].map(id => guestNames[id]); });
+
+    const ep = {
+      title: e.t,
+      number: e.n,
+      numberParts: parseEpisodeNumber(e.n), // Structured number, for ordering and lookup
+      date,
+      guests,
+      characters,
+      performers,
+      imageUrl: e.i || null,              // Episode image URL
+      idx,                                // Position in sorted array
+      year: date.getFullYear(),           // Year for grouping
+      week: getWeekOfYear(date),          // Week for timeline positioning
+      num_characters: characters.length,  // # Characs for visualizing
+      num_guests: guests.length,          // # Guests for visualizing
+      characters_per_guest: characters.length / guests.length, // # Characs per Guest
+      type: typeKeys[index.types[idx]],   // Episode type (see EPISODE_TYPES)
+      guestSet: new Set(guests),          // Fast membership checks when matching the selection
+      characterSet: new Set(characters)
+    };
+
+    // Group episodes by year for the timeline
+    if (!episodesByYear.has(ep.year)) episodesByYear.set(ep.year, []);
+    episodesByYear.get(ep.year).push(ep);
+
+    return ep;
+  });
+
+  // Get sorted list of years for timeline rows
+  const years = Array.from(episodesByYear.keys()).sort();
+
+  // Episodes of each type in a list of episode indexes
+  const countTypes = (eps) => {
+    const counts = Object.fromEntries(typeKeys.map(k => [k, 0]));
+    eps.forEach(idx => { counts[typeKeys[index.types[idx]]]++; });
+    return counts;
+  };
+
+  // Guest and character lookups by name (only people who appear in an episode).
+  // typeCounts has how many of their episodes are of each type.
+  const guestMap = new Map();
+  const guestCharacters = {};
+  index.guests.forEach(guest => {
+    if (guest.c.length > 0) guestCharacters[guest.n] = guest.c.map(id => characterNames[id]);
+    if (guest.e.length === 0) return;
+    guestMap.set(guest.n, {
+      name: guest.n,
+      episodes: guest.e,
+      typeCounts: countTypes(guest.e),
+      firstIdx: guest.e[0],
+      lastIdx: guest.e[guest.e.length - 1],
+      imageUrl: guest.i || null,
+      aliases: (aliases?.guests?.[guest.n]) || []
+    });
+  });
+
+  const characterMap = new Map();
+  index.characters.forEach(char => {
+    if (char.e.length === 0) return;
+    characterMap.set(char.n, {
+      name: char.n,
+      episodes: char.e,
+      typeCounts: countTypes(char.e),
+      firstIdx: char.e[0],
+      lastIdx: char.e[char.e.length - 1],
+      imageUrl: char.i || null,
+      aliases: (aliases?.characters?.[char.n]) || [],
+      // Every known performer, with the episodes they played this character in.
+      // Same episodes/typeCounts shape as the maps so getEntityCount works on them.
+      performers: char.p.map(([id, eps]) => ({
+        name: guestNames[id],
+        episodes: eps,
+        typeCounts: countTypes(eps)
+      }))
+    });
+  });
+
+  return {
+    episodes,
+    guestMap,
+    characterMap,
+    guestCharacters,
+    episodesByYear,
+    years,
+    stats: index.stats,
+    canonicalNames: lookupAliases(aliases)
+  };
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DATA_INDEX_VERSION,
+    EPISODE_TYPES,
+    getEpisodeType,
+    parseEpisodeNumber,
+    compareEpisodeNumbers,
+    findNumberOrderIssues,
+    hashDataContent,
+    buildDataIndex,
+    isDataIndexCurrent,
+    hydrateData
+  };
+}
@@ -0,0 +1,248 @@
+/**
+ * Comedy Bang Bang Universe - Data Diff
+ * ======================================
+ *
+ * Compares two versions of the raw data (data/cbb_data.js) and reports what
+ * changed between them, and turns that into entries for the data changelog
+ * (data/cbb_changelog.js) that the app shows in its "What's new" panel.
+ *
+ * Used by scripts/diff_data.js and scripts/build_data.js through require().
+ */
+
+const { applyAliases } = require('./aliases');
+const { normalizeEntityName } = require('./validate_data');
+
+// A removed and an added name count as a rename when at least this share
+// of their episodes is the same (or the names only differ by case/accents)
+const RENAME_MIN_OVERLAP = 0.5;
+
+/**
+ * Key episodes so the same episode can be found in both versions: by
+ * number, or by number and title for shared labels like "from the road".
+ * Repeated keys (duplicate numbers) get a counter.
+ *
+ * @param {Array} episodes - Raw episodes
+ * @returns {Map<string, Object>} Key -> raw episode
+ */
+const keyEpisodes = (episodes) => {
+  const keyed = new Map();
+  episodes.forEach(e => {
+    const number = (e.n || '').trim();
+    const base = number && !/\s/.test(number) ? `#${number}` : `${number} ${e.t}`;
+    let key = base;
+    for (let i = 2; keyed.has(key); i++) key = `${base}~${i}`;
+    keyed.set(key, e);
+  });
+  return keyed;
+};
+
+/**
+ * Short reference to a raw episode, as stored in the changelog.
+ *
+ * @param {Object} e - Raw episode
+ * @returns {{ number: string, title: string, date: string }}
+ */
+const episodeRef = (e) => ({ number: e.n, title: e.t, date: e.d });
+
+/**
+ * Names in one list but not the other.
+ *
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {{ added: string[], removed: string[] }}
+ */
+const diffNames = (before, after) => ({
+  added: after.filter(name => !before.includes(name)),
+  removed: before.filter(name => !after.includes(name))
+});
+
+/**
+ * Match names that disappeared to names that appeared, by the episodes they
+ * are in (keys) or by near-identical spelling.
+ *
+ * @param {Map<string, Set<string>>} removed - Removed name -> its episode keys (old data)
+ * @param {Map<string, Set<string>>} added - Added name -> its episode keys (new data)
+ * @returns {Array<{ from: string, to: string }>}
+ */
+const findRenames = (removed, added) => {
+  const candidates = [];
+  removed.forEach((oldEps, from) => {
+    added.forEach((newEps, to) => {
+      const shared = [...oldEps].filter(key => newEps.has(key)).length;
+      const overlap = shared / (oldEps.size + newEps.size - shared || 1);
+      const sameName = normalizeEntityName(from) === normalizeEntityName(to);
+      if (sameName || overlap >= RENAME_MIN_OVERLAP) {
+        candidates.push({ from, to, score: sameName ? 2 : overlap });
+      }
+    });
+  });
+
+  // Best matches first, each name used once
+  const renames = [];
+  const used = new Set();
+  candidates.sort((a, b) => b.score - a.score).forEach(({ from, to }) => {
+    if (used.has(`from:${from}`) || used.has(`to:${to}`)) return;
+    used.add(`from:${from}`);
+    used.add(`to:${to}`);
+    renames.push({ from, to });
+  });
+  return renames;
+};
+
+/**
+ * Compare two versions of the raw data. Name variants from the alias table
+ * are merged in both first, so alias edits don't show up as renames.
+ *
+ * @param {Object} oldRaw - Previous CBB_DATA object
+ * @param {Object} newRaw - New CBB_DATA object
+ * @param {Object} [options]
+ * @param {Object} [options.aliases] - Alias table (data/cbb_aliases.js)
+ * @returns {Object} { episodes: { added, removed, changed }, guests: { added, removed, renamed },
+ *   characters: { added, removed, renamed }, images: [{ type, name, from, to }] }
+ */
+const diffData = (oldRaw, newRaw, { aliases = null } = {}) => {
+  const before = applyAliases(oldRaw, aliases);
+  const after = applyAliases(newRaw, aliases);
+  const oldEpisodes = keyEpisodes(before.episodes || []);
+  const newEpisodes = keyEpisodes(after.episodes || []);
+
+  // Guests/characters -> the keys of the episodes they're in
+  const entityEpisodes = (episodes, field) => {
+    const map = new Map();
+    episodes.forEach((e, key) => (e[field] || []).forEach(name => {
+      if (!map.has(name)) map.set(name, new Set());
+      map.get(name).add(key);
+    }));
+    return map;
+  };
+
+  const diffEntities = (field) => {
+    const oldMap = entityEpisodes(oldEpisodes, field);
+    const newMap = entityEpisodes(newEpisodes, field);
+    const removed = new Map([...oldMap].filter(([name]) => !newMap.has(name)));
+    const added = new Map([...newMap].filter(([name]) => !oldMap.has(name)));
+    const renamed = findRenames(removed, added);
+    return {
+      added: [...added.keys()].filter(name => !renamed.some(r => r.to === name)),
+      removed: [...removed.keys()].filter(name => !renamed.some(r => r.from === name)),
+      renamed
+    };
+  };
+  const guests = diffEntities('g');
+  const characters = diffEntities('c');
+
+  // Old names under their new spelling, so renames don't show up per episode
+  const renameMap = (renamed) => new Map(renamed.map(r => [r.from, r.to]));
+  const guestRenames = renameMap(guests.renamed);
+  const characterRenames = renameMap(characters.renamed);
+  const rename = (names, map) => (names || []).map(name => map.get(name) || name);
+
+  const episodes = { added: [], removed: [], changed: [] };
+  const images = [];
+  newEpisodes.forEach((e, key) => {
+    if (!oldEpisodes.has(key)) episodes.added.push(episodeRef(e));
+  });
+  oldEpisodes.forEach((old, key) => {
+    const e = newEpisodes.get(key);
+    if (!e) {
+      episodes.removed.push(episodeRef(old));
+      return;
+    }
+
+    const change = {
+      ...episodeRef(e),
+      ...(old.t !== e.t && { oldTitle: old.t }),
+      ...(old.d !== e.d && { oldDate: old.d }),
+      guests: diffNames(rename(old.g, guestRenames), e.g || []),
+      characters: diffNames(rename(old.c, characterRenames), e.c || [])
+    };
+    const listsChanged = [change.guests, change.characters].some(d => d.added.length || d.removed.length);
+    if (change.oldTitle !== undefined || change.oldDate !== undefined || listsChanged) {
+      episodes.changed.push(change);
+    }
+
+    if ((old.i || null) !== (e.i || null)) {
+      images.push({ type: 'episode', name: `#${e.n} ${e.t}`, from: old.i || null, to: e.i || null });
+    }
+  });
+
+  // Guest and character images. Renamed entities are compared under their
+  // new name; a new guest or character arriving with an image isn't a change.
+  const diffImages = (type, oldImages = {}, newImages = {}, map, added) => {
+    const oldByName = new Map(Object.entries(oldImages).map(([name, url]) => [map.get(name) || name, url]));
+    const names = new Set([...oldByName.keys(), ...Object.keys(newImages)]);
+    names.forEach(name => {
+      const from = oldByName.get(name) || null;
+      const to = newImages[name] || null;
+      if (from !== to && !(from === null && added.includes(name))) images.push({ type, name, from, to });
+    });
+  };
+  diffImages('guest', before.guestImages, after.guestImages, guestRenames, guests.added);
+  diffImages('character', before.characterImages, after.characterImages, characterRenames, characters.added);
+
+  return { episodes, guests, characters, images };
+};
+
+/**
+ * Whether a diff found no changes at all.
+ *
+ * @param {Object} diff - From diffData
+ * @returns {boolean}
+ */
+const isEmptyDiff = (diff) =>
+  Object.values(diff.episodes).every(list => list.length === 0) &&
+  [diff.guests, diff.characters].every(d => Object.values(d).every(list => list.length === 0)) &&
+  diff.images.length === 0;
+
+/**
+ * Human-readable report of a diff, one line per change.
+ *
+ * @param {Object} diff - From diffData
+ * @returns {string[]}
+ */
+const formatDiff = (diff) => {
+  const lines = [];
+  const describe = (e) => `#${e.number} "${e.title}" (${e.date})`;
+  const listChange = (label, { added, removed }) => [
+    ...added.map(name => `+${label} ${name}`),
+    ...removed.map(name => `-${label} ${name}`)
+  ];
+
+  diff.episodes.added.forEach(e => lines.push(`Added episode ${describe(e)}`));
+  diff.episodes.removed.forEach(e => lines.push(`Removed episode ${describe(e)}`));
+  diff.episodes.changed.forEach(e => {
+    const parts = [
+      ...(e.oldTitle !== undefined ? [`title was "${e.oldTitle}"`] : []),
+      ...(e.oldDate !== undefined ? [`date was ${e.oldDate}`] : []),
+      ...listChange('guest', e.guests),
+      ...listChange('character', e.characters)
+    ];
+    lines.push(`Changed episode ${describe(e)}: ${parts.join(', ')}`);
+  });
+  [['guest', diff.guests], ['character', diff.characters]].forEach(([label, d]) => {
+    d.added.forEach(name => lines.push(`New ${label} ${name}`));
+    d.removed.forEach(name => lines.push(`Removed ${label} ${name}`));
+    d.renamed.forEach(r => lines.push(`Renamed ${label} ${r.from} -> ${r.to}`));
+  });
+  diff.images.forEach(i => lines.push(`Changed ${i.type} image for ${i.name}: ${i.from || '(none)'} -> ${i.to || '(none)'}`));
+  return lines;
+};
+
+/**
+ * Add a diff to the changelog as its newest entry. An entry for the same
+ * data version is replaced rather than repeated.
+ *
+ * @param {Array} changelog - Existing entries, newest first
+ * @param {Object} diff - From diffData
+ * @param {Object} release
+ * @param {string} release.version - Data version of the new data (CBB_DATA.version)
+ * @param {string|null} release.previousVersion - Data version it was compared with
+ * @param {string} release.date - Date of the release (YYYY-MM-DD)
+ * @returns {Array} New changelog, newest first
+ */
+const addChangelogEntry = (changelog, diff, { version, previousVersion, date }) => [
+  { version, previousVersion, date, ...diff },
+  ...changelog.filter(entry => entry.version !== version)
+];
+
+module.exports = { keyEpisodes, findRenames, diffData, isEmptyDiff, formatDiff, addChangelogEntry };
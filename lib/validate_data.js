@@ -0,0 +1,236 @@
+/**
+ * Comedy Bang Bang Universe - Data Validator
+ * ===========================================
+ *
+ * Checks the raw CBB_DATA object (the compact format in data/cbb_data.js)
+ * for problems that loadData would otherwise hide or get wrong.
+ *
+ * Loaded by index.html as a plain script (defines a global `validateData`)
+ * and by scripts/validate_data.js through require().
+ * Expects lib/aliases.js to be loaded first in the browser, and
+ * lib/data_index.js by the time validateData runs.
+ */
+
+/**
+ * Normalize a name for near-duplicate detection:
+ * strips accents, lowercases and collapses whitespace.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeEntityName = (name) => name
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Validate the raw data.
+ *
+ * Errors (the data is wrong or gets dropped by the app):
+ * - bad-date: release date can't be parsed (loadData drops the episode)
+ * - duplicate-number: two episodes share an episode number (a warning for
+ *   numbers the alias table lists in sharedNumbers)
+ * - missing-image: episode image path has no file in images/episodes/
+ * - bad-credit: an episode's per-episode credits (p) name a guest or
+ *   character that isn't in that episode's g/c arrays
+ *
+ * Warnings (the data is suspicious):
+ * - number-order: an episode was released before the episode numbered just
+ *   below it (see findNumberOrderIssues in lib/data_index.js)
+ * - unknown-guest / unknown-character: a guestCharacters entry or image key
+ *   names someone who never appears in any episode's g/c arrays
+ * - ambiguous-performer: a character with several performers appears in an
+ *   episode with more than one of them and no per-episode credit says who played it
+ * - near-duplicate: names that differ only by case, whitespace or accents
+ * - no-performer: a character that appears in episodes but isn't listed
+ *   under any guest in guestCharacters
+ *
+ * @param {Object} raw - The raw CBB_DATA object
+ * @param {Object} [options]
+ * @param {Set<string>} [options.episodeImageFiles] - File names in images/episodes/.
+ *   The missing-image check only runs when this is given (the browser can't list files).
+ * @param {Object} [options.aliases] - Alias table (data/cbb_aliases.js); names are
+ *   checked after variants are merged into their canonical names
+ * @returns {Array<{ severity: string, type: string, message: string, episodes: Array, names: string[] }>}
+ */
+const validateData = (rawData, { episodeImageFiles = null, aliases = null } = {}) => {
+  // applyAliases is a global in the browser; Node has to require it
+  const mergeAliases = typeof applyAliases !== 'undefined' ? applyAliases : require('./aliases').applyAliases;
+  const raw = aliases ? mergeAliases(rawData, aliases) : rawData;
+  const issues = [];
+  const addIssue = (severity, type, message, { episodes = [], names = [] } = {}) => {
+    issues.push({ severity, type, message, episodes, names });
+  };
+  const describeEpisode = (e) => `#${e.n} "${e.t}"`;
+  const episodeRef = (e) => ({ number: e.n, title: e.t });
+
+  const episodes = raw.episodes || [];
+  const guestCharacters = raw.guestCharacters || {};
+  const guestImages = raw.guestImages || {};
+  const characterImages = raw.characterImages || {};
+
+  // Everyone who actually appears in an episode (characters with their episodes)
+  const guests = new Set();
+  const characterEpisodes = new Map();
+  episodes.forEach(e => {
+    (e.g || []).forEach(g => guests.add(g));
+    (e.c || []).forEach(c => {
+      if (!characterEpisodes.has(c)) characterEpisodes.set(c, []);
+      characterEpisodes.get(c).push(e);
+    });
+  });
+  const characters = new Set(characterEpisodes.keys());
+
+  // Unparseable dates
+  episodes.forEach(e => {
+    if (!e.d || isNaN(new Date(e.d).getTime())) {
+      addIssue('error', 'bad-date',
+        `Episode ${describeEpisode(e)} has an unparseable date "${e.d || ''}" and is dropped`,
+        { episodes: [episodeRef(e)] });
+    }
+  });
+
+  // Duplicate episode numbers. Labels with spaces ("from the road") are shared on purpose.
+  const byNumber = new Map();
+  episodes.forEach(e => {
+    if (!e.n || /\s/.test(e.n.trim())) return;
+    if (!byNumber.has(e.n)) byNumber.set(e.n, []);
+    byNumber.get(e.n).push(e);
+  });
+  const sharedNumbers = new Set((aliases && aliases.sharedNumbers) || []);
+  byNumber.forEach((eps, number) => {
+    if (eps.length < 2) return;
+    addIssue(sharedNumbers.has(number) ? 'warning' : 'error', 'duplicate-number',
+      `Episode number #${number} is used by ${eps.length} episodes: ${eps.map(e => `"${e.t}"`).join(', ')}`,
+      { episodes: eps.map(episodeRef) });
+  });
+
+  // Episode numbers out of release order
+  const numberOrderIssues = typeof findNumberOrderIssues !== 'undefined'
+    ? findNumberOrderIssues
+    : require('./data_index').findNumberOrderIssues;
+  numberOrderIssues(episodes.map(e => ({ number: e.n, date: e.d, raw: e }))).forEach(({ episode, previous }) => {
+    addIssue('warning', 'number-order',
+      `Episode ${describeEpisode(episode.raw)} (${episode.date}) came out before ${describeEpisode(previous.raw)} (${previous.date})`,
+      { episodes: [episodeRef(episode.raw), episodeRef(previous.raw)] });
+  });
+
+  // Episode image files
+  if (episodeImageFiles) {
+    episodes.forEach(e => {
+      if (!e.i || !e.i.startsWith('images/episodes/')) return;
+      const file = e.i.slice('images/episodes/'.length);
+      if (!episodeImageFiles.has(file)) {
+        addIssue('error', 'missing-image',
+          `Episode ${describeEpisode(e)} points at missing image ${e.i}`,
+          { episodes: [episodeRef(e)] });
+      }
+    });
+  }
+
+  // guestCharacters and image keys that refer to nobody
+  Object.entries(guestCharacters).forEach(([guest, chars]) => {
+    if (!guests.has(guest)) {
+      addIssue('warning', 'unknown-guest',
+        `guestCharacters lists "${guest}", who isn't a guest on any episode`,
+        { names: [guest] });
+    }
+    chars.forEach(c => {
+      if (!characters.has(c)) {
+        addIssue('warning', 'unknown-character',
+          `guestCharacters["${guest}"] lists "${c}", who isn't a character on any episode`,
+          { names: [c] });
+      }
+    });
+  });
+  Object.keys(guestImages).forEach(g => {
+    if (!guests.has(g)) {
+      addIssue('warning', 'unknown-guest',
+        `guestImages has "${g}", who isn't a guest on any episode`,
+        { names: [g] });
+    }
+  });
+  Object.keys(characterImages).forEach(c => {
+    if (!characters.has(c)) {
+      addIssue('warning', 'unknown-character',
+        `characterImages has "${c}", who isn't a character on any episode`,
+        { names: [c] });
+    }
+  });
+
+  // Per-episode credits must refer to the episode's own guests and characters
+  episodes.forEach(e => {
+    Object.entries(e.p || {}).forEach(([guest, chars]) => {
+      if (!(e.g || []).includes(guest)) {
+        addIssue('error', 'bad-credit',
+          `Episode ${describeEpisode(e)} credits "${guest}", who isn't one of its guests`,
+          { episodes: [episodeRef(e)], names: [guest] });
+      }
+      chars.forEach(c => {
+        if (!(e.c || []).includes(c)) {
+          addIssue('error', 'bad-credit',
+            `Episode ${describeEpisode(e)} credits "${guest}" with "${c}", who isn't one of its characters`,
+            { episodes: [episodeRef(e)], names: [guest, c] });
+        }
+      });
+    });
+  });
+
+  // Everyone known to play each character (guestCharacters plus per-episode credits)
+  const performers = new Map();
+  const addPerformer = (c, guest) => {
+    if (!performers.has(c)) performers.set(c, []);
+    if (!performers.get(c).includes(guest)) performers.get(c).push(guest);
+  };
+  Object.entries(guestCharacters).forEach(([guest, chars]) => chars.forEach(c => addPerformer(c, guest)));
+  episodes.forEach(e => Object.entries(e.p || {}).forEach(([guest, chars]) => chars.forEach(c => addPerformer(c, guest))));
+
+  // Episodes where more than one of a character's performers is on the mic
+  // and nothing says which of them played it
+  performers.forEach((guestList, c) => {
+    if (guestList.length < 2 || !characterEpisodes.has(c)) return;
+    const ambiguous = characterEpisodes.get(c).filter(e => {
+      const credited = Object.values(e.p || {}).some(chars => chars.includes(c));
+      return !credited && guestList.filter(g => (e.g || []).includes(g)).length > 1;
+    });
+    if (ambiguous.length === 0) return;
+    addIssue('warning', 'ambiguous-performer',
+      `"${c}" has no per-episode credit in ${ambiguous.map(describeEpisode).join(', ')}, so it's credited to all of ${guestList.filter(g => ambiguous.some(e => e.g.includes(g))).map(g => `"${g}"`).join(', ')}`,
+      { names: [c, ...guestList], episodes: ambiguous.map(episodeRef) });
+  });
+
+  // Near-duplicate names (same type only)
+  const findNearDuplicates = (names, label) => {
+    const groups = new Map();
+    names.forEach(name => {
+      const key = normalizeEntityName(name);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(name);
+    });
+    groups.forEach(group => {
+      if (group.length < 2) return;
+      addIssue('warning', 'near-duplicate',
+        `${label} names differ only by case, spacing or accents: ${group.map(n => `"${n}"`).join(', ')}`,
+        { names: group });
+    });
+  };
+  findNearDuplicates(guests, 'Guest');
+  findNearDuplicates(characters, 'Character');
+
+  // Characters nobody is credited with playing
+  characters.forEach(c => {
+    if (performers.has(c)) return;
+    const eps = characterEpisodes.get(c);
+    addIssue('warning', 'no-performer',
+      `Character "${c}" has no known performer (appears in ${eps.map(describeEpisode).join(', ')})`,
+      { names: [c], episodes: eps.map(episodeRef) });
+  });
+
+  return issues;
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { validateData, normalizeEntityName };
+}
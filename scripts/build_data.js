@@ -0,0 +1,748 @@
+#!/usr/bin/env node
+/**
+ * Comedy Bang Bang Universe - Data Pipeline
+ * ==========================================
+ *
+ * Builds data/cbb_data.js from the comedybangbang.fandom.com MediaWiki API.
+ *
+ * Usage:
+ *   node scripts/build_data.js                                  Live wiki API
+ *   node scripts/build_data.js --api http://localhost:8080/api.php --out /tmp/cbb_data.js   Local stand-in server
+ *   node scripts/build_data.js --record scripts/fixtures/mediawiki   Live API, saving every response
+ *   node scripts/build_data.js --fixtures scripts/fixtures/mediawiki --out /tmp/cbb_data.js   Offline, from saved responses
+ *
+ * Options:
+ *   --api <url>        MediaWiki api.php endpoint (default: the CBB fandom wiki)
+ *   --fixtures <dir>   Read API responses from <dir> instead of the network
+ *   --record <dir>     Save every API response to <dir> (for later --fixtures runs)
+ *   --out <file>       Output file (default: data/cbb_data.js; required with --api and --fixtures,
+ *                      so test runs can't replace the real data)
+ *   --images <dir>     Local episode image folder (default: images/episodes)
+ *
+ * The output includes the precomputed index (see scripts/build_index.js),
+ * built with the name variants in data/cbb_aliases.js.
+ *
+ * When it replaces an existing file it prints what changed, and for a
+ * build of data/cbb_data.js from the live wiki also records that in
+ * data/cbb_changelog.js for the app's "What's new" panel (see lib/diff_data.js).
+ *
+ * How the wiki maps to the data file:
+ * - Episodes are the pages in Category:Episodes. Each page has an episode
+ *   infobox with number, release date, guests and characters. A character
+ *   written as "[[Character]] ([[Guest]])" is credited to that guest (p).
+ * - Guests are the pages in Category:Guests. The `characters` param of a
+ *   guest's infobox becomes their guestCharacters entry.
+ * - Characters are the pages in Category:Characters (only used for images).
+ * - Guest/character images are the pages' lead images (pageimages API).
+ * - An infobox `type` param, when a page has one, becomes the episode's
+ *   explicit type (y). Otherwise the app classifies it (lib/data_index.js).
+ * - Episode images point at images/episodes/ep<number>.jpg when that file
+ *   exists locally (spaces in the number become underscores, case doesn't
+ *   matter: "from the Road" -> epfrom_the_road.jpg), otherwise at the wiki's
+ *   lead image (if any).
+ *
+ * Saved responses are named after a hash of the request params (see
+ * getFixtureName), so a --record run can be replayed exactly with --fixtures.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const vm = require('vm');
+const { EPISODE_TYPES, buildDataIndex } = require('../lib/data_index');
+const { diffData, isEmptyDiff, formatDiff, addChangelogEntry } = require('../lib/diff_data');
+
+
+// ==========================================================================
+// CONSTANTS
+// ==========================================================================
+
+const DEFAULT_API = 'https://comedybangbang.fandom.com/api.php';
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_OUT = path.join(ROOT_DIR, 'data', 'cbb_data.js');
+const DEFAULT_IMAGES_DIR = path.join(ROOT_DIR, 'images', 'episodes');
+const ALIASES_FILE = path.join(ROOT_DIR, 'data', 'cbb_aliases.js');
+const DEFAULT_CHANGELOG = path.join(ROOT_DIR, 'data', 'cbb_changelog.js');
+
+const EPISODE_CATEGORY = 'Category:Episodes';
+const GUEST_CATEGORY = 'Category:Guests';
+const CHARACTER_CATEGORY = 'Category:Characters';
+
+// The API accepts at most 50 titles per query
+const TITLES_PER_REQUEST = 50;
+
+// Infobox param names, in order of preference
+const NUMBER_PARAMS = ['number', 'episode', 'no'];
+const DATE_PARAMS = ['release', 'released', 'date', 'airdate'];
+const GUEST_PARAMS = ['guests', 'guest'];
+const CHARACTER_PARAMS = ['characters', 'character'];
+const TYPE_PARAMS = ['type', 'episode_type'];
+
+// Header written at the top of the data file
+const DATA_FILE_HEADER = `/**
+ * Comedy Bang Bang Universe - Episode Data
+ * =========================================
+ *
+ * This file contains the processed podcast data from the Comedy Bang Bang wiki.
+ *
+ * Data Format:
+ * - version: Hash of the rest of the file. The offline cache (sw.js) is
+ *   rebuilt when it changes.
+ *
+ * - episodes: Array of episode objects with abbreviated keys to reduce file size
+ *   - t: title (episode title)
+ *   - n: number (episode number, can be string like "from the road" or "BO2009")
+ *   - d: date (release date in YYYY-MM-DD format)
+ *   - g: guests (array of guest names)
+ *   - c: characters (array of character names)
+ *   - p: performers (optional, object mapping guest names to the characters they played in this episode)
+ *   - i: imageUrl (optional, full URL to episode image)
+ *   - y: type (optional, "regular", "best-of", "live", "bonus" or "special";
+ *     when missing the app works it out from the number and title)
+ *
+ * - guestCharacters: Object mapping guest names to arrays of characters they play
+ *   Example: { "Paul F. Tompkins": ["Cake Boss", "Werner Herzog", ...] }
+ *
+ * - guestImages: Object mapping guest names to their image URLs
+ * - characterImages: Object mapping character names to their image URLs
+ *
+ * - index: Precomputed lookups the app hydrates instead of working them out
+ *   on every page load (see lib/data_index.js). Rebuild it with
+ *   scripts/build_index.js after editing this file or data/cbb_aliases.js by hand.
+ *
+ * Source: Scraped from comedybangbang.fandom.com using MediaWiki API
+ */
+`;
+
+
+// Header written at the top of the changelog file
+const CHANGELOG_FILE_HEADER = `/**
+ * Comedy Bang Bang Universe - Data Changelog
+ * ===========================================
+ *
+ * What changed in data/cbb_data.js at each rebuild, newest first. Shown in
+ * the app's "What's new in the data" panel; new episodes and entities get a
+ * badge until the panel is dismissed.
+ *
+ * Written by scripts/build_data.js (and scripts/diff_data.js --changelog),
+ * see lib/diff_data.js for how versions are compared.
+ *
+ * Format: Array of entries
+ * - version: CBB_DATA.version of the new data
+ * - previousVersion: CBB_DATA.version it was compared with (null if unknown)
+ * - date: Date of the rebuild (YYYY-MM-DD)
+ * - episodes: { added, removed, changed } lists of { number, title, date };
+ *   changed ones also have guests/characters { added, removed } and
+ *   oldTitle/oldDate when those changed
+ * - guests / characters: { added, removed } names and renamed [{ from, to }]
+ * - images: [{ type: 'guest' | 'character' | 'episode', name, from, to }]
+ */
+`;
+
+// ==========================================================================
+// API CLIENT
+// ==========================================================================
+
+/**
+ * Get the file name a response is saved under for a set of request params.
+ * Params are sorted first so the name doesn't depend on key order.
+ *
+ * @param {Object} params - Query params (without format/formatversion)
+ * @returns {string} File name like "query-1a2b3c4d5e6f7a8b.json"
+ */
+const getFixtureName = (params) => {
+  const canonical = Object.keys(params).sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+  const hash = crypto.createHash('sha1').update(canonical).digest('hex').slice(0, 16);
+  return `${params.action || 'api'}-${hash}.json`;
+};
+
+/**
+ * Create a function that sends one MediaWiki API request.
+ * Depending on options it hits the network (live wiki or a stand-in server),
+ * reads saved responses, or hits the network and saves what it gets.
+ *
+ * @param {Object} options
+ * @param {string} [options.api] - api.php URL
+ * @param {string} [options.fixtures] - Directory of saved responses to read from
+ * @param {string} [options.record] - Directory to save responses to
+ * @returns {function(Object): Promise<Object>} Request function returning parsed JSON
+ */
+const createApiClient = ({ api = DEFAULT_API, fixtures = null, record = null } = {}) => {
+  if (record) fs.mkdirSync(record, { recursive: true });
+
+  return async (params) => {
+    const fileName = getFixtureName(params);
+
+    if (fixtures) {
+      const file = path.join(fixtures, fileName);
+      if (!fs.existsSync(file)) {
+        throw new Error(`No saved response for ${JSON.stringify(params)} (expected ${file})`);
+      }
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    const url = new URL(api);
+    Object.entries({ ...params, format: 'json', formatversion: '2' })
+      .forEach(([key, value]) => url.searchParams.set(key, value));
+
+    const res = await fetch(url, {
+      headers: { 'User-Agent': 'cbb_graphs data pipeline (https://github.com/jzemel/cbb_graphs)' }
+    });
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText} for ${url}`);
+    const json = await res.json();
+    if (json.error) throw new Error(`API error ${json.error.code}: ${json.error.info}`);
+
+    if (record) {
+      fs.writeFileSync(path.join(record, fileName), JSON.stringify(json, null, 2) + '\n');
+    }
+    return json;
+  };
+};
+
+/**
+ * List the titles of all articles in a category, following continuation.
+ * Titles come back in the category's sort order.
+ *
+ * @param {function} request - Request function from createApiClient
+ * @param {string} category - Category title, e.g. "Category:Episodes"
+ * @returns {Promise<string[]>} Page titles
+ */
+const listCategory = async (request, category) => {
+  const titles = [];
+  let cont = {};
+
+  do {
+    const json = await request({
+      action: 'query',
+      list: 'categorymembers',
+      cmtitle: category,
+      cmnamespace: '0',
+      cmlimit: '500',
+      ...cont
+    });
+    json.query.categorymembers.forEach(m => titles.push(m.title));
+    cont = json.continue || null;
+  } while (cont);
+
+  return titles;
+};
+
+/**
+ * Fetch the wikitext and lead image of pages, 50 titles per request.
+ *
+ * @param {function} request - Request function from createApiClient
+ * @param {string[]} titles - Page titles
+ * @returns {Promise<Map>} Map of title -> { content: string, imageUrl: string|null }
+ */
+const fetchPages = async (request, titles) => {
+  const pages = new Map();
+
+  for (let i = 0; i < titles.length; i += TITLES_PER_REQUEST) {
+    const batch = titles.slice(i, i + TITLES_PER_REQUEST);
+    const json = await request({
+      action: 'query',
+      prop: 'revisions|pageimages',
+      rvprop: 'content',
+      rvslots: 'main',
+      piprop: 'original',
+      titles: batch.join('|')
+    });
+
+    json.query.pages.forEach(page => {
+      if (page.missing) return;
+      const revision = page.revisions && page.revisions[0];
+      pages.set(page.title, {
+        content: revision ? revision.slots.main.content : '',
+        imageUrl: page.original ? page.original.source : null
+      });
+    });
+  }
+
+  return pages;
+};
+
+
+// ==========================================================================
+// WIKITEXT PARSING
+// ==========================================================================
+
+/**
+ * Split text on a separator, ignoring separators nested inside
+ * {{templates}} or [[links]] (and optionally (parentheses)).
+ *
+ * @param {string} text
+ * @param {string} separator - Single character
+ * @param {boolean} [parens] - Also ignore separators inside parentheses
+ * @returns {string[]}
+ */
+const splitTopLevel = (text, separator, parens = false) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const pair = text.slice(i, i + 2);
+    if (pair === '{{' || pair === '[[') {
+      depth++;
+      current += pair;
+      i++;
+    } else if ((pair === '}}' || pair === ']]') && depth > 0) {
+      depth--;
+      current += pair;
+      i++;
+    } else if (parens && (text[i] === '(' || (text[i] === ')' && depth > 0))) {
+      depth += text[i] === '(' ? 1 : -1;
+      current += text[i];
+    } else if (text[i] === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += text[i];
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+/**
+ * Read the named params of the first infobox template on a page.
+ * The infobox is the first top-level template whose params include
+ * at least one `name = value` pair.
+ *
+ * @param {string} wikitext - Page content
+ * @returns {Object} Lowercased param name -> raw value
+ */
+const parseInfobox = (wikitext) => {
+  let start = wikitext.indexOf('{{');
+
+  while (start !== -1) {
+    // Find the matching closing braces
+    let depth = 0;
+    let end = -1;
+    for (let i = start; i < wikitext.length - 1; i++) {
+      const pair = wikitext.slice(i, i + 2);
+      if (pair === '{{') { depth++; i++; }
+      else if (pair === '}}') {
+        depth--;
+        i++;
+        if (depth === 0) { end = i - 1; break; }
+      }
+    }
+    if (end === -1) return {};
+
+    const params = {};
+    splitTopLevel(wikitext.slice(start + 2, end), '|').slice(1).forEach(part => {
+      const eq = part.indexOf('=');
+      if (eq === -1) return;
+      params[part.slice(0, eq).trim().toLowerCase()] = part.slice(eq + 1).trim();
+    });
+    if (Object.keys(params).length > 0) return params;
+
+    start = wikitext.indexOf('{{', end + 2);
+  }
+
+  return {};
+};
+
+/**
+ * Get the first non-empty param out of a list of possible names.
+ *
+ * @param {Object} params - Infobox params from parseInfobox
+ * @param {string[]} names - Param names in order of preference
+ * @returns {string} Raw value, or '' if none is set
+ */
+const getParam = (params, names) => {
+  const name = names.find(n => params[n]);
+  return name ? params[name] : '';
+};
+
+/**
+ * Remove wiki markup from a short value: links, templates, HTML tags,
+ * bold/italics and references.
+ *
+ * @param {string} text
+ * @returns {string} Plain text
+ */
+const stripMarkup = (text) => text
+  .replace(/<ref[^>]*\/>/gi, '')
+  .replace(/<ref[^>]*>[\s\S]*?<\/ref>/gi, '')
+  .replace(/\[\[(?:[^\]|]*\|)?([^\]]*)\]\]/g, '$1')   // [[Page|Label]] -> Label
+  .replace(/\{\{[^}]*\}\}/g, '')
+  .replace(/<[^>]+>/g, '')
+  .replace(/'{2,}/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Turn an infobox list value into names.
+ * Wikilinks are preferred (their label, or the page if unlabeled); values
+ * without links are split on commas, line breaks and bullets.
+ *
+ * @param {string} value - Raw infobox value
+ * @returns {string[]} Unique names in order of appearance
+ */
+const parseNameList = (value) => {
+  if (!value) return [];
+
+  const links = [...value.matchAll(/\[\[([^\]|]+)(?:\|([^\]]*))?\]\]/g)]
+    .filter(m => !/^(file|image|category):/i.test(m[1]))
+    .map(m => (m[2] || m[1]).trim());
+
+  const names = links.length > 0
+    ? links
+    : value.split(/,|<br\s*\/?>|\n\*?/i).map(stripMarkup);
+
+  return [...new Set(names.filter(Boolean))];
+};
+
+/**
+ * Turn an episode's characters value into names plus per-episode credits.
+ * Items written as "[[Character]] ([[Guest]])" (or several guests in the
+ * parentheses) credit the character to those guests; other items are read
+ * like parseNameList.
+ *
+ * @param {string} value - Raw infobox value
+ * @returns {{ characters: string[], credits: Object }} Credits map guest -> characters
+ */
+const parseCharacterCredits = (value) => {
+  const characters = [];
+  const credits = {};
+
+  const items = (value || '')
+    .split(/<br\s*\/?>|\n/i)
+    .flatMap(line => splitTopLevel(line, ',', true));
+
+  items.forEach(item => {
+    const match = item.match(/^(.*?)\(([^()]*\[\[[^()]*)\)\s*$/);
+    if (!match) {
+      parseNameList(item).forEach(c => characters.push(c));
+      return;
+    }
+
+    const [character] = parseNameList(match[1]);
+    if (!character) return;
+    characters.push(character);
+    parseNameList(match[2]).forEach(guest => {
+      if (!credits[guest]) credits[guest] = [];
+      if (!credits[guest].includes(character)) credits[guest].push(character);
+    });
+  });
+
+  return { characters: [...new Set(characters)], credits };
+};
+
+/**
+ * Normalize a release date to YYYY-MM-DD.
+ * Dates the parser can't read are returned as-is (trimmed) so they show up
+ * in the data validator instead of disappearing here.
+ *
+ * @param {string} value - Raw date, e.g. "August 12, 2018" or "2018-08-12"
+ * @returns {string}
+ */
+const normalizeDate = (value) => {
+  const text = stripMarkup(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+
+  const date = new Date(text);
+  if (isNaN(date.getTime())) return text;
+
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+
+// ==========================================================================
+// DATA BUILDING
+// ==========================================================================
+
+/**
+ * Build the compact CBB_DATA object from fetched wiki pages.
+ *
+ * @param {Object} source
+ * @param {string[]} source.episodeTitles - Episode page titles, in category order
+ * @param {string[]} source.guestTitles - Guest page titles, in category order
+ * @param {string[]} source.characterTitles - Character page titles, in category order
+ * @param {Map} source.pages - Title -> { content, imageUrl } (from fetchPages)
+ * @param {Set<string>} [source.localImages] - File names present in the episode image folder
+ * @returns {{ data: Object, warnings: string[] }}
+ */
+const buildData = ({ episodeTitles, guestTitles, characterTitles, pages, localImages = new Set() }) => {
+  const warnings = [];
+
+  // Local image file names by their lowercase name
+  const localImageNames = new Map([...localImages].map(name => [name.toLowerCase(), name]));
+
+  const episodes = [];
+  episodeTitles.forEach(title => {
+    const page = pages.get(title);
+    if (!page) {
+      warnings.push(`Episode page missing: ${title}`);
+      return;
+    }
+
+    const params = parseInfobox(page.content);
+    const number = stripMarkup(getParam(params, NUMBER_PARAMS));
+    const date = normalizeDate(getParam(params, DATE_PARAMS));
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      warnings.push(`Unparseable date "${date}" for episode #${number} (${title})`);
+    }
+
+    const { characters, credits } = parseCharacterCredits(getParam(params, CHARACTER_PARAMS));
+    const episode = {
+      t: title,
+      n: number,
+      d: date,
+      g: parseNameList(getParam(params, GUEST_PARAMS)),
+      c: characters
+    };
+    if (Object.keys(credits).length > 0) episode.p = credits;
+
+    // Explicit episode type, if the infobox names one we know
+    const typeText = stripMarkup(getParam(params, TYPE_PARAMS));
+    const type = typeText && EPISODE_TYPES.find(t => t.match.test(typeText));
+    if (type) episode.y = type.k;
+
+    // Prefer the local thumbnail (ep<number>.jpg, spaces as underscores, any case);
+    // fall back to the wiki's lead image
+    const localImage = number && localImageNames.get(`ep${number.replace(/\s+/g, '_')}.jpg`.toLowerCase());
+    if (localImage) {
+      episode.i = `images/episodes/${localImage}`;
+    } else if (page.imageUrl) {
+      episode.i = page.imageUrl;
+    }
+
+    episodes.push(episode);
+  });
+
+  const guestCharacters = {};
+  const guestImages = {};
+  guestTitles.forEach(title => {
+    const page = pages.get(title);
+    if (!page) return;
+
+    const characters = parseNameList(getParam(parseInfobox(page.content), CHARACTER_PARAMS));
+    if (characters.length > 0) guestCharacters[title] = characters;
+    if (page.imageUrl) guestImages[title] = page.imageUrl;
+  });
+
+  const characterImages = {};
+  characterTitles.forEach(title => {
+    const page = pages.get(title);
+    if (page && page.imageUrl) characterImages[title] = page.imageUrl;
+  });
+
+  return {
+    data: { episodes, guestCharacters, guestImages, characterImages },
+    warnings
+  };
+};
+
+/**
+ * Serialize a value as JSON with a space after every comma and colon,
+ * the layout used by data/cbb_data.js (one line, non-ASCII kept as-is).
+ *
+ * @param {*} value - JSON-compatible value
+ * @returns {string}
+ */
+const formatCompactJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatCompactJson).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .map(([key, v]) => `${JSON.stringify(key)}: ${formatCompactJson(v)}`);
+    return `{${entries.join(', ')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Version stamp for a data object: a short hash of everything in it except
+ * the stamp itself. The offline cache (sw.js) is keyed on it, so a new
+ * dataset replaces everything cached for the old one.
+ *
+ * @param {Object} data - Compact CBB_DATA object
+ * @returns {string} 12 hex characters
+ */
+const getDataVersion = (data) => {
+  const { version, ...rest } = data;
+  return crypto.createHash('sha1').update(formatCompactJson(rest)).digest('hex').slice(0, 12);
+};
+
+/**
+ * Render the full contents of data/cbb_data.js, stamped with its version.
+ *
+ * @param {Object} data - Compact CBB_DATA object
+ * @returns {string}
+ */
+const renderDataFile = (data) => {
+  const { version, ...rest } = data;
+  return `${DATA_FILE_HEADER}\nconst CBB_DATA = ${formatCompactJson({ version: getDataVersion(rest), ...rest })}`;
+};
+
+/**
+ * Render the full contents of data/cbb_changelog.js, one entry per line.
+ *
+ * @param {Array} changelog - Entries, newest first
+ * @returns {string}
+ */
+const renderChangelogFile = (changelog) => {
+  const entries = changelog.map(e => `  ${formatCompactJson(e)}`).join(',\n');
+  return `${CHANGELOG_FILE_HEADER}\nconst CBB_CHANGELOG = [${entries ? `\n${entries}\n` : ''}];\n`;
+};
+
+/**
+ * Add the changes between two versions of the data to the changelog file.
+ * Nothing is written when they don't differ.
+ *
+ * @param {Object} previous - Previous CBB_DATA object
+ * @param {Object} data - New CBB_DATA object
+ * @param {Object} [options]
+ * @param {Object} [options.aliases] - Alias table
+ * @param {string} [options.file] - Changelog file (default: data/cbb_changelog.js)
+ * @returns {Object} The diff (see lib/diff_data.js)
+ */
+const recordChanges = (previous, data, { aliases = null, file = DEFAULT_CHANGELOG } = {}) => {
+  const diff = diffData(previous, data, { aliases });
+  if (isEmptyDiff(diff)) return diff;
+
+  const changelog = fs.existsSync(file) ? readDataFile(file, 'CBB_CHANGELOG') : [];
+  const release = {
+    version: getDataVersion(data),
+    previousVersion: previous.version || null,
+    date: new Date().toISOString().slice(0, 10)
+  };
+  fs.writeFileSync(file, renderChangelogFile(addChangelogEntry(changelog, diff, release)));
+  return diff;
+};
+
+/**
+ * Read the object out of an existing data file.
+ * The file is a script (`const CBB_DATA = {...}`), so it's run in a sandbox.
+ *
+ * @param {string} file - Path to a data file like data/cbb_data.js
+ * @param {string} [name] - Name of the global the file defines
+ * @returns {Object} Compact CBB_DATA object (or whatever `name` holds)
+ */
+const readDataFile = (file, name = 'CBB_DATA') => {
+  const sandbox = {};
+  vm.runInNewContext(`${fs.readFileSync(file, 'utf8')}\nthis.${name} = ${name};`, sandbox, { filename: file });
+  return sandbox[name];
+};
+
+/**
+ * Fetch everything from the wiki and build the compact data object.
+ *
+ * @param {function} request - Request function from createApiClient
+ * @param {Object} [options]
+ * @param {string} [options.imagesDir] - Local episode image folder
+ * @returns {Promise<{ data: Object, warnings: string[] }>}
+ */
+const fetchData = async (request, { imagesDir = DEFAULT_IMAGES_DIR } = {}) => {
+  const episodeTitles = await listCategory(request, EPISODE_CATEGORY);
+  const guestTitles = await listCategory(request, GUEST_CATEGORY);
+  const characterTitles = await listCategory(request, CHARACTER_CATEGORY);
+
+  const allTitles = [...new Set([...episodeTitles, ...guestTitles, ...characterTitles])];
+  const pages = await fetchPages(request, allTitles);
+
+  const localImages = fs.existsSync(imagesDir) ? new Set(fs.readdirSync(imagesDir)) : new Set();
+
+  return buildData({ episodeTitles, guestTitles, characterTitles, pages, localImages });
+};
+
+
+// ==========================================================================
+// COMMAND LINE
+// ==========================================================================
+
+/**
+ * Parse `--name value` command line options.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Option name -> value
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([\w-]+)$/);
+    if (!match || argv[i + 1] === undefined) {
+      throw new Error(`Unexpected argument: ${argv[i]}`);
+    }
+    options[match[1]] = argv[++i];
+  }
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  // Builds from a stand-in server or saved responses are never the real data
+  const isLiveBuild = !options.api && !options.fixtures;
+  if (!isLiveBuild && !options.out) {
+    throw new Error('--api and --fixtures runs need --out <file> (they must not replace data/cbb_data.js)');
+  }
+  const out = options.out ? path.resolve(options.out) : DEFAULT_OUT;
+  const recordsChangelog = isLiveBuild && out === DEFAULT_OUT;
+
+  const request = createApiClient({
+    api: options.api,
+    fixtures: options.fixtures && path.resolve(options.fixtures),
+    record: options.record && path.resolve(options.record)
+  });
+
+  const { data, warnings } = await fetchData(request, {
+    imagesDir: options.images ? path.resolve(options.images) : DEFAULT_IMAGES_DIR
+  });
+
+  // Precomputed lookups for the app, with name variants already merged
+  const aliases = fs.existsSync(ALIASES_FILE) ? readDataFile(ALIASES_FILE, 'CBB_ALIASES') : null;
+  data.index = buildDataIndex(data, aliases);
+
+  // The file being replaced, to report what changed
+  const previous = fs.existsSync(out) ? readDataFile(out) : null;
+
+  warnings.forEach(w => console.warn(`warning: ${w}`));
+  fs.writeFileSync(out, renderDataFile(data));
+  console.log(`Wrote ${data.episodes.length} episodes, ${Object.keys(data.guestCharacters).length} guests with characters to ${path.relative(process.cwd(), out)}`);
+
+  // Changes go in the changelog the app shows, but only for a live build of the real data file
+  if (previous) {
+    const diff = recordsChangelog
+      ? recordChanges(previous, data, { aliases })
+      : diffData(previous, data, { aliases });
+    const lines = formatDiff(diff);
+    lines.forEach(line => console.log(`  ${line}`));
+    console.log(lines.length === 0
+      ? 'No changes since the previous version'
+      : `${lines.length} changes${recordsChangelog ? `, recorded in ${path.relative(process.cwd(), DEFAULT_CHANGELOG)}` : ''}`);
+  }
+};
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  getFixtureName,
+  createApiClient,
+  listCategory,
+  fetchPages,
+  parseInfobox,
+  parseNameList,
+  parseCharacterCredits,
+  normalizeDate,
+  buildData,
+  formatCompactJson,
+  getDataVersion,
+  renderDataFile,
+  renderChangelogFile,
+  recordChanges,
+  readDataFile,
+  fetchData
+};
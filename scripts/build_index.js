@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Comedy Bang Bang Universe - Data Index Builder
+ * ===============================================
+ *
+ * Adds the precomputed index (see lib/data_index.js) to data/cbb_data.js so
+ * the browser only has to hydrate it. build_data.js does this as part of a
+ * rebuild; run this after editing the data file or data/cbb_aliases.js by hand.
+ *
+ * Usage:
+ *   node scripts/build_index.js [data file]
+ *   node --expose-gc scripts/build_index.js [data file] --measure
+ *
+ * Options:
+ *   --measure  Don't write anything; compare load time and memory using the
+ *              precomputed index against building it on load (as loadData
+ *              does when the index is missing). Memory figures need --expose-gc.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { buildDataIndex, isDataIndexCurrent, hydrateData } = require('../lib/data_index');
+const { readDataFile, renderDataFile } = require('./build_data');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_DATA_FILE = path.join(ROOT_DIR, 'data', 'cbb_data.js');
+const ALIASES_FILE = path.join(ROOT_DIR, 'data', 'cbb_aliases.js');
+
+// Loads timed per method (the median is reported)
+const MEASURE_RUNS = 15;
+
+// Results kept alive at once when measuring retained memory
+const MEASURE_HELD = 5;
+
+/**
+ * Time how long a data file's source takes to parse and run (as the browser
+ * does before loadData sees it) and, when gc is exposed, how much heap the
+ * resulting CBB_DATA object takes.
+ *
+ * @param {string} source - Contents of a data file
+ * @returns {{ ms: number, retainedMb: number|null }}
+ */
+const measureParse = (source) => {
+  const times = [];
+  for (let i = 0; i < MEASURE_RUNS; i++) {
+    const start = process.hrtime.bigint();
+    vm.runInNewContext(source, {});
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  const ms = times.sort((a, b) => a - b)[Math.floor(times.length / 2)];
+
+  if (typeof global.gc !== 'function') return { ms, retainedMb: null };
+
+  global.gc();
+  const before = process.memoryUsage().heapUsed;
+  const sandbox = {};
+  vm.runInNewContext(`${source}\nthis.data = CBB_DATA;`, sandbox);
+  global.gc();
+  return { ms, retainedMb: (process.memoryUsage().heapUsed - before) / 1048576 };
+};
+
+/**
+ * Time a load function and, when gc is exposed, how much heap it allocates
+ * along the way and how much its result keeps.
+ *
+ * @param {function(): Object} load
+ * @returns {{ ms: number, allocatedMb: number|null, retainedMb: number|null }}
+ */
+const measureLoad = (load) => {
+  const times = [];
+  for (let i = 0; i < MEASURE_RUNS; i++) {
+    const start = process.hrtime.bigint();
+    load();
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  times.sort((a, b) => a - b);
+  const ms = times[Math.floor(times.length / 2)];
+
+  if (typeof global.gc !== 'function') return { ms, allocatedMb: null, retainedMb: null };
+
+  // Retained memory is averaged over several results held at once, which
+  // evens out what the collector happens to free in between
+  const mb = (bytes) => bytes / 1048576;
+  global.gc();
+  global.gc();
+  const before = process.memoryUsage().heapUsed;
+  const results = [load()];
+  const allocated = process.memoryUsage().heapUsed - before;
+  for (let i = 1; i < MEASURE_HELD; i++) results.push(load());
+  global.gc();
+  const retained = (process.memoryUsage().heapUsed - before) / results.length;
+  return { ms, allocatedMb: mb(allocated), retainedMb: mb(retained) };
+};
+
+const main = () => {
+  const args = process.argv.slice(2);
+  const flags = new Set(args.filter(a => a.startsWith('--')));
+  const file = path.resolve(args.find(a => !a.startsWith('--')) || DEFAULT_DATA_FILE);
+
+  const raw = readDataFile(file);
+  const aliases = fs.existsSync(ALIASES_FILE) ? readDataFile(ALIASES_FILE, 'CBB_ALIASES') : null;
+  const { index: oldIndex, version, ...data } = raw;
+
+  const wasCurrent = isDataIndexCurrent(raw, aliases);
+
+  if (!flags.has('--measure')) {
+    const index = buildDataIndex(data, aliases);
+    fs.writeFileSync(file, renderDataFile({ ...data, index }));
+    console.log(`Indexed ${index.order.length} episodes, ${index.guests.length} guests, ${index.characters.length} characters in ${path.relative(process.cwd(), file)}` +
+      (wasCurrent ? ' (the index was already current)' : ` (the index was ${oldIndex ? 'out of date' : 'missing'})`));
+    return;
+  }
+
+  if (!wasCurrent) {
+    console.error(`${path.relative(process.cwd(), file)} has ${oldIndex ? 'an out-of-date' : 'no'} index; run without --measure first`);
+    process.exit(1);
+  }
+
+  const format = (label, load, source) => {
+    const parse = measureParse(source);
+    const memory = (mb) => mb === null ? '' : `, ${mb.toFixed(1)} MB`;
+    return `${label.padEnd(18)} data file ${(Buffer.byteLength(source) / 1024).toFixed(0)} KB: ` +
+      `parsed in ${parse.ms.toFixed(1)} ms${memory(parse.retainedMb)}   ` +
+      `loadData: ${load.ms.toFixed(1)} ms` +
+      (load.allocatedMb === null ? '' : `, allocated ${load.allocatedMb.toFixed(1)} MB, retained ${load.retainedMb.toFixed(1)} MB`);
+  };
+  const withoutIndex = measureLoad(() => hydrateData(data, buildDataIndex(data, aliases), aliases));
+  // The browser checks the index is current (hashing the data) before using it
+  const withIndex = measureLoad(() => isDataIndexCurrent(raw, aliases) && hydrateData(raw, oldIndex, aliases));
+  console.log(format('Built on load', withoutIndex, renderDataFile(data)));
+  console.log(format('Precomputed index', withIndex, fs.readFileSync(file, 'utf8')));
+  if (typeof global.gc !== 'function') console.log('(run with node --expose-gc for memory figures)');
+};
+
+main();
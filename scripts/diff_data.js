@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Comedy Bang Bang Universe - Data Diff
+ * ======================================
+ *
+ * Reports what changed between two versions of the data file: added and
+ * removed episodes, changed guest/character lists, new, removed and renamed
+ * guests and characters, and changed images (see lib/diff_data.js).
+ *
+ * build_data.js does this on every rebuild and records it in the changelog;
+ * use this to compare any two versions, e.g. the committed one:
+ *
+ *   git show HEAD:data/cbb_data.js > /tmp/cbb_data_old.js
+ *   node scripts/diff_data.js /tmp/cbb_data_old.js
+ *
+ * Usage:
+ *   node scripts/diff_data.js <old data file> [new data file] [--json] [--changelog]
+ *
+ * Options:
+ *   --json       Print the diff as JSON instead of one line per change
+ *   --changelog  Also record the diff in data/cbb_changelog.js for the app (only
+ *                when the new file is data/cbb_data.js, the data the app ships)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { diffData, formatDiff } = require('../lib/diff_data');
+const { readDataFile, recordChanges } = require('./build_data');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_DATA_FILE = path.join(ROOT_DIR, 'data', 'cbb_data.js');
+const ALIASES_FILE = path.join(ROOT_DIR, 'data', 'cbb_aliases.js');
+
+const main = () => {
+  const args = process.argv.slice(2);
+  const flags = new Set(args.filter(a => a.startsWith('--')));
+  const files = args.filter(a => !a.startsWith('--'));
+  if (files.length === 0) {
+    console.error('Usage: node scripts/diff_data.js <old data file> [new data file] [--json] [--changelog]');
+    process.exit(1);
+  }
+
+  const newFile = path.resolve(files[1] || DEFAULT_DATA_FILE);
+  if (flags.has('--changelog') && newFile !== DEFAULT_DATA_FILE) {
+    console.error(`--changelog only records changes to ${path.relative(process.cwd(), DEFAULT_DATA_FILE)}, not ${path.relative(process.cwd(), newFile)}`);
+    process.exit(1);
+  }
+
+  const previous = readDataFile(path.resolve(files[0]));
+  const data = readDataFile(newFile);
+  const aliases = fs.existsSync(ALIASES_FILE) ? readDataFile(ALIASES_FILE, 'CBB_ALIASES') : null;
+
+  const diff = flags.has('--changelog')
+    ? recordChanges(previous, data, { aliases })
+    : diffData(previous, data, { aliases });
+
+  if (flags.has('--json')) {
+    console.log(JSON.stringify(diff, null, 2));
+    return;
+  }
+  const lines = formatDiff(diff);
+  lines.forEach(line => console.log(line));
+  console.log(lines.length === 0 ? 'No changes' : `${lines.length} changes`);
+};
+
+main();
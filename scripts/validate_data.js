@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Comedy Bang Bang Universe - Data Validator CLI
+ * ===============================================
+ *
+ * Reports integrity problems in data/cbb_data.js (see lib/validate_data.js
+ * for the list of checks).
+ *
+ * Usage:
+ *   node scripts/validate_data.js [data file] [--json] [--strict]
+ *
+ * Names are checked after merging the variants listed in data/cbb_aliases.js.
+ *
+ * Options:
+ *   --json     Print the issues as JSON instead of text
+ *   --strict   Exit with an error on warnings too (errors always fail)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateData } = require('../lib/validate_data');
+const { readDataFile } = require('./build_data');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_DATA_FILE = path.join(ROOT_DIR, 'data', 'cbb_data.js');
+const ALIASES_FILE = path.join(ROOT_DIR, 'data', 'cbb_aliases.js');
+const EPISODE_IMAGES_DIR = path.join(ROOT_DIR, 'images', 'episodes');
+
+const main = () => {
+  const args = process.argv.slice(2);
+  const flags = new Set(args.filter(a => a.startsWith('--')));
+  const file = args.find(a => !a.startsWith('--')) || DEFAULT_DATA_FILE;
+
+  const raw = readDataFile(path.resolve(file));
+  const aliases = fs.existsSync(ALIASES_FILE) ? readDataFile(ALIASES_FILE, 'CBB_ALIASES') : null;
+  const episodeImageFiles = new Set(fs.existsSync(EPISODE_IMAGES_DIR) ? fs.readdirSync(EPISODE_IMAGES_DIR) : []);
+  const issues = validateData(raw, { episodeImageFiles, aliases });
+
+  const errors = issues.filter(i => i.severity === 'error');
+  const warnings = issues.filter(i => i.severity === 'warning');
+
+  if (flags.has('--json')) {
+    console.log(JSON.stringify(issues, null, 2));
+  } else {
+    // Group by issue type so long runs of the same problem stay readable
+    const byType = new Map();
+    issues.forEach(issue => {
+      if (!byType.has(issue.type)) byType.set(issue.type, []);
+      byType.get(issue.type).push(issue);
+    });
+    byType.forEach((list, type) => {
+      console.log(`\n${type} (${list[0].severity}, ${list.length})`);
+      list.forEach(issue => console.log(`  ${issue.message}`));
+    });
+    console.log(`\n${errors.length} errors, ${warnings.length} warnings`);
+  }
+
+  const failed = errors.length > 0 || (flags.has('--strict') && warnings.length > 0);
+  process.exitCode = failed ? 1 : 0;
+};
+
+main();
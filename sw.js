@@ -0,0 +1,191 @@
+/**
+ * Comedy Bang Bang Universe - Offline Service Worker
+ * ===================================================
+ *
+ * Makes the explorer work without a connection once it has been opened.
+ *
+ * Registered by index.js as `sw.js?v=<data version>` (CBB_DATA.version), so
+ * a new dataset installs a new worker whose caches replace the old ones.
+ *
+ * What's cached and how:
+ * - The app itself (index.html, index.js, lib/, data/) and the CDN
+ *   libraries are cached on install. The app's own files are fetched
+ *   network-first so updates show up as soon as there's a connection; on a
+ *   slow one the cached copy is used after NETWORK_TIMEOUT_MS.
+ * - Episode thumbnails (images/episodes/) are cached in the background once
+ *   the page sends the list (see index.js), and served cache-first.
+ * - Guest, character and episode images from the wiki are cached the first
+ *   time they're viewed. Offline, uncached ones fail right away so the page
+ *   shows its placeholder instead.
+ */
+
+const DATA_VERSION = new URL(self.location).searchParams.get('v') || 'dev';
+
+const CACHE_PREFIX = 'cbb-';
+const APP_CACHE = `${CACHE_PREFIX}app-${DATA_VERSION}`;
+const IMAGE_CACHE = `${CACHE_PREFIX}images-${DATA_VERSION}`;
+
+// The app's own files (keep in sync with the scripts in index.html)
+const APP_FILES = [
+  './',
+  'index.html',
+  'index.js',
+  'manifest.webmanifest',
+  'data/cbb_data.js',
+  'data/cbb_aliases.js',
+  'data/cbb_changelog.js',
+  'lib/aliases.js',
+  'lib/validate_data.js',
+  'lib/data_index.js',
+  'images/cbb_logo_small.png'
+];
+
+// Libraries index.html loads from CDNs (keep in sync with index.html)
+const LIBRARY_URLS = [
+  'https://unpkg.com/react@18/umd/react.production.min.js',
+  'https://unpkg.com/react-dom@18/umd/react-dom.production.min.js',
+  'https://unpkg.com/@babel/standalone/babel.min.js',
+  'https://cdn.tailwindcss.com'
+];
+
+// Hosts the guest, character and episode images come from
+const IMAGE_HOSTS = ['static.wikia.nocookie.net', 'vignette.wikia.nocookie.net'];
+
+// How long to wait for the network before falling back to the cache
+const NETWORK_TIMEOUT_MS = 3000;
+
+
+// ==========================================================================
+// INSTALL & ACTIVATE
+// ==========================================================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(APP_CACHE);
+    await cache.addAll(APP_FILES);
+    // Script tags load these without CORS, so they're stored as opaque responses
+    await Promise.all(LIBRARY_URLS.map(async (url) => {
+      const res = await fetch(url, { mode: 'no-cors' });
+      await cache.put(url, res);
+    }));
+    await self.skipWaiting();
+  })());
+});
+
+// Drop the caches of other data versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== APP_CACHE && name !== IMAGE_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// The page sends the episode thumbnail URLs to cache in the background
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== 'cache-episode-images') return;
+  event.waitUntil((async () => {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = new Set((await cache.keys()).map(req => req.url));
+    for (const url of event.data.urls) {
+      const absolute = new URL(url, self.location).href;
+      if (cached.has(absolute)) continue;
+      try {
+        await cache.add(absolute);
+      } catch (err) {
+        // Offline or missing file: it's tried again on the next visit
+      }
+    }
+  })());
+});
+
+
+// ==========================================================================
+// FETCH STRATEGIES
+// ==========================================================================
+
+/**
+ * Network first, falling back to the cache when the network fails or takes
+ * longer than NETWORK_TIMEOUT_MS. Fresh responses update the cache.
+ *
+ * @param {Request} request
+ * @param {string} cacheName
+ * @param {Object} [matchOptions] - Options for cache.match (e.g. ignoreSearch)
+ * @returns {Promise<Response>}
+ */
+const networkFirst = async (request, cacheName, matchOptions) => {
+  const cache = await caches.open(cacheName);
+  const network = fetch(request).then(res => {
+    if (res.ok) cache.put(request, res.clone());
+    return res;
+  });
+  // Still updates the cache after losing the race; its failure is handled below
+  network.catch(() => {});
+
+  // After the timeout, use the cached copy if there is one (otherwise keep waiting)
+  const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT_MS))
+    .then(async () => (await cache.match(request, matchOptions)) || network);
+
+  try {
+    return await Promise.race([network, timeout]);
+  } catch (err) {
+    const cached = await cache.match(request, matchOptions);
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+/**
+ * Cache first; anything not cached yet is fetched and stored. When that
+ * fetch fails the request fails too (images then show their placeholder).
+ *
+ * @param {Request} request
+ * @param {string} cacheName
+ * @returns {Promise<Response>}
+ */
+const cacheFirst = async (request, cacheName) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  try {
+    const res = await fetch(request);
+    if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+    return res;
+  } catch (err) {
+    return Response.error();
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Pages: any permalink (?sel=...) is the same cached index.html
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, APP_CACHE, { ignoreSearch: true }));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(url.pathname.includes('/images/episodes/')
+      ? cacheFirst(request, IMAGE_CACHE)
+      : networkFirst(request, APP_CACHE));
+    return;
+  }
+
+  if (LIBRARY_URLS.includes(request.url)) {
+    event.respondWith(cacheFirst(request, APP_CACHE));
+    return;
+  }
+
+  if (IMAGE_HOSTS.includes(url.hostname)) {
+    // Offline, don't wait for the request to time out
+    event.respondWith(!self.navigator.onLine
+      ? caches.open(IMAGE_CACHE).then(cache => cache.match(request)).then(res => res || Response.error())
+      : cacheFirst(request, IMAGE_CACHE));
+  }
+});